@@ -0,0 +1,414 @@
+#!/usr/bin/env node
+// Headless slicer: runs the same pipeline as the browser app over image files
+// and writes the same zip (or folder) layout with a -slice-positioner.json manifest.
+//
+//   nutty-slice input/ --pieces 40 --seed 7 --out dist/
+
+import { parseArgs } from 'node:util';
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import JSZip from 'jszip';
+import {
+  setCanvasFactory,
+  createCanvas,
+  trimCanvasToOpaqueBounds,
+  randomSeed,
+} from '../src/voronoiSlicer';
+import { selectLevelPieces } from '../src/hierarchy';
+import { withMergedIds } from '../src/pieceMerging';
+import { withIslandNodes } from '../src/opaqueIslands';
+import { ALPHA_MODES } from '../src/alphaModes';
+import { PIVOT_MODES } from '../src/piecePivots';
+import { LAYER_KINDS, cropCompanionLayer } from '../src/companionLayers';
+import { SLICER_TYPES, DEFAULT_SLICER_PARAMS } from '../src/slicers';
+import { sliceWithLayout } from '../src/slicePipeline';
+import { createSliceManifest, createSlicerBlock, createSourceFrame } from '../src/manifest';
+import { packPieceAtlases, addSliceExport } from '../src/exportBundle';
+import { UNITY_IMPORT_TARGETS } from '../src/unityImporter';
+import { DEFAULT_EXPLODE_PARAMS } from '../src/explodeAnimation';
+import { EXPORT_TARGETS, getExportTargetError, targetRequiresAtlas } from '../src/enginePresets';
+import { CUT_FORMATS, DEFAULT_PRINT_PARAMS } from '../src/printCut';
+
+const IMAGE_EXTENSIONS = /\.(png|jpe?g|webp)$/i;
+const COMPANION_FILE = new RegExp(`_(${LAYER_KINDS.map((k) => k.value).join('|')})\\.[^.]+$`);
+
+const USAGE = `Usage: nutty-slice <input file or folder> [options]
+
+Options:
+  -n, --pieces <n>          Number of pieces (voronoi / shatter)        [20]
+  -s, --seed <n>            PRNG seed (random if omitted)
+      --relax <n>           Lloyd relaxation iterations                 [0]
+      --slicer <type>       ${SLICER_TYPES.map((t) => t.value).join(' | ')}   [voronoi]
+      --columns <n>         Grid / hex columns
+      --rows <n>            Grid rows
+      --impact <x,y>        Shatter impact point, normalised 0..1       [0.5,0.5]
+      --falloff <n>         Shatter falloff                             [2]
+      --detail <0..1>       Content-aware strength (voronoi)            [0]
+      --metric <m>          edges | variance                            [edges]
+      --snap                Snap cuts to image edges
+      --cut <style>         straight | jigsaw                           [straight]
+      --tab-size <n>        Jigsaw tab size 0.4..1                      [1]
+      --bleed <px>          Grow pieces past their cut by this many px  [0]
+      --min-opaque <px>     Merge pieces with fewer opaque pixels       [0]
+      --min-opaque-ratio <r>  Merge pieces less than this share opaque  [0]
+      --min-area <px>       Merge cells smaller than this area (px²)    [0]
+      --alpha-threshold <n> Alpha at or above this counts as opaque  [8]
+      --split-islands       One piece per disconnected opaque island in a cell
+      --min-island <px>     Smaller islands join the nearest one        [64]
+      --pivot <mode>        ${PIVOT_MODES.map((m) => m.value).join(' | ')}  [padded]
+      --pivot-point <x,y>   Custom pivot, 0..1 from the top-left        [0.5,0.5]
+      --layer <name[=file]> Cut a companion map (${LAYER_KINDS.map((k) => k.value).join(' | ')}) with the pieces;
+                            defaults to <image>_<name>.<ext> beside each image. Repeatable
+      --no-trim             Slice the full image instead of trimming transparent borders
+      --alpha-mode <m>      ${ALPHA_MODES.map((m) => m.value).join(' | ')}  [straight]
+      --dilate <px>         Edge colour extrusion for --alpha-mode dilated  [16]
+      --atlas               Export texture atlas sheets instead of PNGs
+      --atlas-max-size <n>  Atlas max sheet size                        [2048]
+      --atlas-padding <n>   Atlas padding in pixels                     [2]
+      --atlas-rotation      Allow rotating pieces in the atlas
+      --colliders           Export traced colliders (Unity, Godot, Box2D)
+      --collider-vertices <n>  Collider vertex budget per outline       [24]
+      --ppu <n>             Unity pixels per unit                       [100]
+      --unity-importer <t>  Bundle Editor/NuttySliceImporter.cs (world | ugui)
+      --sublevels <n,n>     Re-slice every piece into n shards per level, e.g. 4,3
+      --level <d>           Level to export: 0.. or leaves              [0]
+      --explode             Write per-piece explode motion (impact = shatter impact or centre)
+      --target <t>          ${EXPORT_TARGETS.map((t) => t.value).join(' | ')}     [unity]
+      --print-width <mm>    Add a print sheet and cut template this wide
+      --print-dpi <n>       Print sheet resolution                      [${DEFAULT_PRINT_PARAMS.dpi}]
+      --print-bleed <mm>    Print bleed around the trim                 [${DEFAULT_PRINT_PARAMS.bleedMm}]
+      --print-no-marks      Leave out registration and crop marks
+      --cut-format <f>      ${CUT_FORMATS.map((f) => f.value).join(' | ')}                                   [svg]
+  -o, --out <dir>           Output folder                               [./sliced]
+      --folder              Write a folder per image instead of a zip
+  -h, --help                Show this help`;
+
+function parseNumber(value, name, fallback) {
+  if (value === undefined) return fallback;
+  const number = Number(value);
+  if (!Number.isFinite(number)) throw new Error(`--${name} must be a number, got "${value}"`);
+  return number;
+}
+
+async function loadCanvasModule() {
+  try {
+    return await import('@napi-rs/canvas');
+  } catch {
+    throw new Error('nutty-slice needs @napi-rs/canvas: run `npm install @napi-rs/canvas`');
+  }
+}
+
+// <image>_<name>.<ext> beside the image, e.g. rock_normal.png for rock.png
+function companionLayerPath(file, name) {
+  const ext = path.extname(file);
+  return path.join(path.dirname(file), `${path.basename(file, ext)}_${name}${ext}`);
+}
+
+// Companion maps sitting next to their images (see companionLayerPath) are never inputs of their own
+async function listInputs(input) {
+  const stat = await fs.stat(input);
+  if (stat.isFile()) return { inputs: [input], companions: [] };
+  const images = (await fs.readdir(input)).filter((name) => IMAGE_EXTENSIONS.test(name)).sort();
+  return {
+    inputs: images.filter((name) => !COMPANION_FILE.test(name)).map((name) => path.join(input, name)),
+    companions: images.filter((name) => COMPANION_FILE.test(name)),
+  };
+}
+
+async function sliceFile(file, settings, options, canvasModule) {
+  const baseName = path.basename(file).replace(/\.[^.]+$/, '').replace(/\s+/g, '-');
+  const loaded = await canvasModule.loadImage(await fs.readFile(file));
+
+  // Same as the browser upload: trim transparent borders before slicing unless --no-trim
+  let source = createCanvas(loaded.width, loaded.height);
+  source.getContext('2d').drawImage(loaded, 0, 0);
+  let frame = createSourceFrame(loaded, options.trim);
+  if (options.trim) {
+    const trimmed = trimCanvasToOpaqueBounds(source, settings.alphaThreshold);
+    if (trimmed.needsTrim) {
+      source = trimmed.canvas;
+      frame = createSourceFrame(loaded, true, trimmed.offset);
+    }
+  }
+
+  const layers = await Promise.all(
+    options.layers.map(async ({ name, file: layerFile }) => {
+      const layerPath = layerFile ?? companionLayerPath(file, name);
+      const bytes = await fs.readFile(layerPath).catch(() => {
+        throw new Error(`No ${name} layer for ${file}: ${layerPath} not found`);
+      });
+      const image = await canvasModule.loadImage(bytes);
+      return { name, image: cropCompanionLayer(image, frame, source, path.basename(layerPath)) };
+    })
+  );
+
+  const { width, height } = source;
+  const imageData = source.getContext('2d').getImageData(0, 0, width, height);
+  const { points, tree, mergedIds, pieces: allPieces } = sliceWithLayout(source, settings, { imageData }, { layers });
+  const islandTree = withIslandNodes(tree, allPieces);
+  const pieces = selectLevelPieces(withMergedIds(allPieces, mergedIds), islandTree, options.level);
+
+  const atlasSheets = options.atlas ? packPieceAtlases(pieces, options.atlasOptions) : null;
+  const manifest = createSliceManifest({
+    fileBaseName: baseName,
+    width,
+    height,
+    frame,
+    slicer: createSlicerBlock(settings, { width, height, points }),
+    pixelsPerUnit: options.pixelsPerUnit,
+  });
+
+  const zip = new JSZip();
+  await addSliceExport(zip.folder(baseName), {
+    baseName,
+    manifest,
+    pieces,
+    atlasSheets,
+    atlasOptions: options.atlasOptions,
+    colliders: options.colliders,
+    unityImporter: options.unityImporter,
+    exportTarget: options.exportTarget,
+    explode: options.explode && { params: options.explode, seed: settings.seed },
+    hierarchy: islandTree && { tree: islandTree, level: options.level },
+    alphaMode: options.alphaMode,
+    dilatePx: options.dilatePx,
+    print: options.print && { ...options.print, source },
+    encodePng: (canvas) => canvas.encode('png'),
+  });
+
+  if (options.folder) {
+    const writes = [];
+    zip.forEach((relativePath, entry) => {
+      if (entry.dir) return;
+      writes.push(
+        (async () => {
+          const target = path.join(options.out, relativePath);
+          await fs.mkdir(path.dirname(target), { recursive: true });
+          await fs.writeFile(target, await entry.async('nodebuffer'));
+        })()
+      );
+    });
+    await Promise.all(writes);
+    return path.join(options.out, baseName);
+  }
+
+  const target = path.join(options.out, `${baseName}.zip`);
+  await fs.writeFile(target, await zip.generateAsync({ type: 'nodebuffer' }));
+  return target;
+}
+
+async function main(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      pieces: { type: 'string', short: 'n' },
+      seed: { type: 'string', short: 's' },
+      relax: { type: 'string' },
+      slicer: { type: 'string' },
+      columns: { type: 'string' },
+      rows: { type: 'string' },
+      impact: { type: 'string' },
+      falloff: { type: 'string' },
+      detail: { type: 'string' },
+      metric: { type: 'string' },
+      snap: { type: 'boolean' },
+      cut: { type: 'string' },
+      'tab-size': { type: 'string' },
+      bleed: { type: 'string' },
+      'min-opaque': { type: 'string' },
+      'min-opaque-ratio': { type: 'string' },
+      'min-area': { type: 'string' },
+      'alpha-threshold': { type: 'string' },
+      'split-islands': { type: 'boolean' },
+      'min-island': { type: 'string' },
+      'no-trim': { type: 'boolean' },
+      layer: { type: 'string', multiple: true },
+      pivot: { type: 'string' },
+      'pivot-point': { type: 'string' },
+      'alpha-mode': { type: 'string' },
+      dilate: { type: 'string' },
+      atlas: { type: 'boolean' },
+      'atlas-max-size': { type: 'string' },
+      'atlas-padding': { type: 'string' },
+      'atlas-rotation': { type: 'boolean' },
+      colliders: { type: 'boolean' },
+      'collider-vertices': { type: 'string' },
+      ppu: { type: 'string' },
+      'unity-importer': { type: 'string' },
+      target: { type: 'string' },
+      explode: { type: 'boolean' },
+      sublevels: { type: 'string' },
+      level: { type: 'string' },
+      'print-width': { type: 'string' },
+      'print-dpi': { type: 'string' },
+      'print-bleed': { type: 'string' },
+      'print-no-marks': { type: 'boolean' },
+      'cut-format': { type: 'string' },
+      out: { type: 'string', short: 'o' },
+      folder: { type: 'boolean' },
+      help: { type: 'boolean', short: 'h' },
+    },
+  });
+
+  if (values.help || positionals.length !== 1) {
+    console.log(USAGE);
+    return values.help ? 0 : 1;
+  }
+
+  const slicerType = values.slicer ?? 'voronoi';
+  if (!SLICER_TYPES.some((t) => t.value === slicerType)) {
+    throw new Error(`Unknown --slicer "${slicerType}"`);
+  }
+  const cutStyle = values.cut ?? 'straight';
+  if (cutStyle !== 'straight' && cutStyle !== 'jigsaw') {
+    throw new Error(`Unknown --cut "${cutStyle}"`);
+  }
+
+  const unityTarget = values['unity-importer'];
+  if (unityTarget !== undefined && !UNITY_IMPORT_TARGETS.some((t) => t.value === unityTarget)) {
+    throw new Error(`Unknown --unity-importer "${unityTarget}"`);
+  }
+
+  const alphaMode = values['alpha-mode'] ?? 'straight';
+  if (!ALPHA_MODES.some((m) => m.value === alphaMode)) {
+    throw new Error(`Unknown --alpha-mode "${alphaMode}"`);
+  }
+  const exportTarget = values.target ?? 'unity';
+  if (!EXPORT_TARGETS.some((t) => t.value === exportTarget)) {
+    throw new Error(`Unknown --target "${exportTarget}"`);
+  }
+
+  const pivotMode = values.pivot ?? 'padded';
+  if (!PIVOT_MODES.some((m) => m.value === pivotMode)) {
+    throw new Error(`Unknown --pivot "${pivotMode}"`);
+  }
+  const [pivotX, pivotY] = (values['pivot-point'] ?? '0.5,0.5').split(',');
+  const customPivot = { x: parseNumber(pivotX, 'pivot-point', 0.5), y: parseNumber(pivotY, 'pivot-point', 0.5) };
+
+  const layers = (values.layer ?? []).map((spec) => {
+    const [name, file = null] = spec.split('=');
+    if (!LAYER_KINDS.some((k) => k.value === name)) throw new Error(`Unknown --layer "${name}"`);
+    return { name, file };
+  });
+
+  const cutFormat = values['cut-format'] ?? DEFAULT_PRINT_PARAMS.cutFormat;
+  if (!CUT_FORMATS.some((f) => f.value === cutFormat)) {
+    throw new Error(`Unknown --cut-format "${cutFormat}"`);
+  }
+
+  const [impactX, impactY] = (values.impact ?? '0.5,0.5').split(',').map(Number);
+  const slicerParams = {
+    grid: {
+      columns: parseNumber(values.columns, 'columns', DEFAULT_SLICER_PARAMS.grid.columns),
+      rows: parseNumber(values.rows, 'rows', DEFAULT_SLICER_PARAMS.grid.rows),
+    },
+    hex: { columns: parseNumber(values.columns, 'columns', DEFAULT_SLICER_PARAMS.hex.columns) },
+    shatter: {
+      impact: { x: impactX, y: impactY },
+      falloff: parseNumber(values.falloff, 'falloff', DEFAULT_SLICER_PARAMS.shatter.falloff),
+    },
+  };
+
+  const settings = {
+    numPieces: parseNumber(values.pieces, 'pieces', 20),
+    seed: parseNumber(values.seed, 'seed', randomSeed()) >>> 0,
+    relaxIterations: parseNumber(values.relax, 'relax', 0),
+    slicerType,
+    slicerParams,
+    manualPoints: [],
+    excludedSeeds: [],
+    detailMetric: values.metric === 'variance' ? 'variance' : 'edges',
+    detailStrength: parseNumber(values.detail, 'detail', 0),
+    snapToEdges: Boolean(values.snap),
+    cutStyle,
+    tabSize: parseNumber(values['tab-size'], 'tab-size', 1),
+    bleed: parseNumber(values.bleed, 'bleed', 0),
+    alphaThreshold: Math.min(255, Math.max(1, parseNumber(values['alpha-threshold'], 'alpha-threshold', 8))),
+    minOpaqueArea: parseNumber(values['min-opaque'], 'min-opaque', 0),
+    minOpaqueRatio: parseNumber(values['min-opaque-ratio'], 'min-opaque-ratio', 0),
+    minCellArea: parseNumber(values['min-area'], 'min-area', 0),
+    mergeGroups: [],
+    splitIslands: Boolean(values['split-islands']),
+    minIslandArea: parseNumber(values['min-island'], 'min-island', 64),
+    pivotMode,
+    customPivot,
+    subdivisions: (values.sublevels ? values.sublevels.split(',') : []).map((count) => ({
+      count: parseNumber(count, 'sublevels', 4),
+      parentIds: null,
+    })),
+  };
+
+  const options = {
+    out: values.out ?? 'sliced',
+    trim: !values['no-trim'],
+    layers,
+    folder: Boolean(values.folder),
+    atlas: Boolean(values.atlas) || targetRequiresAtlas(exportTarget),
+    atlasOptions: {
+      maxSize: parseNumber(values['atlas-max-size'], 'atlas-max-size', 2048),
+      padding: parseNumber(values['atlas-padding'], 'atlas-padding', 2),
+      allowRotation: Boolean(values['atlas-rotation']),
+    },
+    colliders: values.colliders
+      ? {
+          alphaThreshold: settings.alphaThreshold,
+          maxVertices: parseNumber(values['collider-vertices'], 'collider-vertices', 24),
+        }
+      : null,
+    pixelsPerUnit: parseNumber(values.ppu, 'ppu', 100),
+    unityImporter: unityTarget ? { target: unityTarget } : null,
+    exportTarget,
+    alphaMode,
+    dilatePx: Math.max(0, parseNumber(values.dilate, 'dilate', 16)),
+    level: values.level === 'leaves' ? 'leaves' : parseNumber(values.level, 'level', 0),
+    explode: values.explode
+      ? { ...DEFAULT_EXPLODE_PARAMS, impact: slicerType === 'shatter' ? slicerParams.shatter.impact : DEFAULT_EXPLODE_PARAMS.impact }
+      : null,
+    print:
+      values['print-width'] !== undefined
+        ? {
+            widthMm: parseNumber(values['print-width'], 'print-width', DEFAULT_PRINT_PARAMS.widthMm),
+            dpi: parseNumber(values['print-dpi'], 'print-dpi', DEFAULT_PRINT_PARAMS.dpi),
+            bleedMm: parseNumber(values['print-bleed'], 'print-bleed', DEFAULT_PRINT_PARAMS.bleedMm),
+            marks: !values['print-no-marks'],
+            cutFormat,
+          }
+        : null,
+  };
+
+  const targetError = getExportTargetError(exportTarget, {
+    useAtlas: options.atlas,
+    allowRotation: options.atlasOptions.allowRotation,
+    unityImporter: Boolean(options.unityImporter),
+  });
+  if (targetError) throw new Error(targetError);
+
+  const canvasModule = await loadCanvasModule();
+  setCanvasFactory((width, height) => canvasModule.createCanvas(width, height));
+
+  const { inputs, companions } = await listInputs(positionals[0]);
+  if (!inputs.length) throw new Error(`No images found in ${positionals[0]}`);
+  if (companions.length && !layers.length) {
+    console.warn(`Skipping ${companions.length} companion map(s) such as ${companions[0]}; add --layer <name> to cut them`);
+  }
+  if (inputs.length > 1 && layers.some((layer) => layer.file)) {
+    throw new Error('--layer <name>=<file> needs a single input image; name maps <image>_<name>.<ext> for folders');
+  }
+  await fs.mkdir(options.out, { recursive: true });
+
+  console.log(`Slicing ${inputs.length} image(s) with seed ${settings.seed}`);
+  for (const file of inputs) {
+    const target = await sliceFile(file, settings, options, canvasModule);
+    console.log(`  ${file} -> ${target}`);
+  }
+  return 0;
+}
+
+main(process.argv.slice(2)).then(
+  (code) => process.exit(code),
+  (err) => {
+    console.error(`nutty-slice: ${err.message}`);
+    process.exit(1);
+  }
+);
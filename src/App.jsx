@@ -1,72 +1,698 @@
-import React, { useState, useRef, useEffect, useCallback } from 'react';
+import React, { useState, useRef, useEffect, useCallback, useMemo } from 'react';
 import './App.css';
 import JSZip from 'jszip';
 import {
-  generateVoronoiPoints, 
-  generateVoronoiPointsFromAlpha,
-  createVoronoi, 
-  sliceImageIntoVoronoiPieces, 
   drawPieces,
+  drawSeedPoints,
+  drawPieceHighlights,
+  findPieceAt,
+  composePieces,
+  measureOpaqueArea,
   getImagePixelData,
   canvasToBlob,
-  trimImageToOpaqueBounds,
+  randomSeed,
 } from './voronoiSlicer';
+import { DETAIL_METRICS, computeDetailMap } from './contentAware';
+import { SLICER_TYPES, DEFAULT_SLICER_PARAMS, isRandomSlicer } from './slicers';
+import { buildSliceLayout, buildSliceCells } from './slicePipeline';
+import { withMergedIds } from './pieceMerging';
+import { withIslandNodes } from './opaqueIslands';
+import { createSliceWorkerClient, SliceCancelledError } from './sliceWorkerClient';
+import { createSliceManifest, createSlicerBlock, createPieceEntry } from './manifest';
+import { packPieceAtlases, addSliceExport, pieceFileName } from './exportBundle';
+import { ATLAS_MAX_SIZES } from './atlasPacker';
+import { UNITY_IMPORT_TARGETS } from './unityImporter';
+import { EXPORT_TARGETS, getExportTargetError, targetRequiresAtlas } from './enginePresets';
+import { isLayoutFile, readManifestFile, parseLayoutManifest } from './layoutImport';
+import { selectLevelPieces } from './hierarchy';
+import { ALPHA_MODES, encodeCanvasPng } from './alphaModes';
+import { PIVOT_MODES, DEFAULT_CUSTOM_PIVOT } from './piecePivots';
+import { LAYER_KINDS, loadCompanionLayers } from './companionLayers';
+import { CUT_FORMATS, DEFAULT_PRINT_PARAMS } from './printCut';
+import {
+  BATCH_OVERRIDE_FIELDS,
+  BATCH_INDEX_FILE,
+  isImageFile,
+  createBatchItem,
+  collectDroppedFiles,
+  loadSourceImage,
+  resolveBatchSettings,
+  assignBatchFolders,
+  createBatchIndex,
+} from './batchQueue';
+import { listSnapshots, saveSnapshot, loadSnapshot, deleteSnapshot } from './snapshotStore';
+import {
+  DEFAULT_EXPLODE_PARAMS,
+  computePieceMotions,
+  drawExplodeFrame,
+  renderExplodeFrames,
+  createFlipbookSheet,
+  encodeExplodeGif,
+  canRecordWebm,
+  recordExplodeWebm,
+} from './explodeAnimation';
+
+function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+}
+
+function formatNumber(value) {
+  return value == null ? '—' : String(Math.round(value * 100) / 100);
+}
+
+// "0, 3, 7" -> [0, 3, 7]; empty means every piece of the previous level
+function parseIdList(text) {
+  const ids = text
+    .split(/[\s,]+/)
+    .filter(Boolean)
+    .map(Number)
+    .filter(Number.isInteger);
+  return ids.length ? ids : null;
+}
+
+// Undo keeps this many layout states per source image
+const HISTORY_LIMIT = 100;
+
+// Ends of the piece-count slider; added and deleted seed points stop there too
+const MIN_PIECES = 5;
+const MAX_PIECES = 300;
+
+// Slicer settings as passed to buildSliceLayout, from the layout state kept in App
+function toSliceSettings({ subLevels, ...settings }) {
+  return {
+    ...settings,
+    alphaThreshold: 8,
+    subdivisions: subLevels.map(({ count, parentIdsText }) => ({ count, parentIds: parseIdList(parentIdsText) })),
+  };
+}
+
+/**
+ * Cut lines of a saved layout drawn over its source, for side-by-side comparison.
+ * The layout is rebuilt from the stored settings and seed, so it matches what was saved.
+ * @param {HTMLImageElement} source - Source image, trimmed as it was when saved
+ * @param {Object} state - Layout state from a snapshot
+ * @returns {{ url: string, pieceCount: number }} PNG data URL and number of cells
+ */
+function renderLayoutOutline(source, { settings, overrides, importedLayout }) {
+  const sliceSettings = resolveBatchSettings(toSliceSettings(settings), overrides);
+  const imageData = getImagePixelData(source);
+  let detailMap = null;
+  const { voronoi, numCells } = buildSliceLayout(sliceSettings, {
+    width: source.width,
+    height: source.height,
+    imageData,
+    getDetailMap: () => (detailMap ??= computeDetailMap(imageData, sliceSettings.detailMetric, 8)),
+    importedLayout,
+  });
+  const { cells } = buildSliceCells(voronoi, numCells, sliceSettings, imageData);
+
+  const canvas = document.createElement('canvas');
+  canvas.width = source.width;
+  canvas.height = source.height;
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(source, 0, 0);
+  ctx.strokeStyle = '#6366f1';
+  ctx.lineWidth = Math.max(1, Math.round(Math.max(source.width, source.height) / 500));
+  cells.forEach(({ polygon }) => {
+    ctx.beginPath();
+    polygon.forEach(([x, y], i) => (i ? ctx.lineTo(x, y) : ctx.moveTo(x, y)));
+    ctx.closePath();
+    ctx.stroke();
+  });
+  return { url: canvas.toDataURL('image/png'), pieceCount: cells.length };
+}
 
 function App() {
   const [image, setImage] = useState(null);
+  const [trimSource, setTrimSource] = useState(true);
+  const [sourceFrame, setSourceFrame] = useState(null);
+  // Queue item and trim setting behind the image on screen; undo steps record it
+  const [shownSource, setShownSource] = useState(null);
+  const [companionLayers, setCompanionLayers] = useState([]);
+  const [layerKind, setLayerKind] = useState('normal');
+  const [layerError, setLayerError] = useState('');
   const [numPieces, setNumPieces] = useState(20);
+  const [seed, setSeed] = useState(() => randomSeed());
+  const [relaxIterations, setRelaxIterations] = useState(0);
+  const [voronoiPoints, setVoronoiPoints] = useState([]);
+  const [pendingManifest, setPendingManifest] = useState(null);
+  const [importedLayout, setImportedLayout] = useState(null);
+  const [layoutError, setLayoutError] = useState('');
+  const [manualPoints, setManualPoints] = useState([]);
+  const [excludedSeeds, setExcludedSeeds] = useState([]);
+  const [editPoints, setEditPoints] = useState(false);
+  const [slicerType, setSlicerType] = useState('voronoi');
+  const [slicerParams, setSlicerParams] = useState(DEFAULT_SLICER_PARAMS);
+  const [detailStrength, setDetailStrength] = useState(0);
+  const [detailMetric, setDetailMetric] = useState('edges');
+  const [snapToEdges, setSnapToEdges] = useState(false);
+  const [cutStyle, setCutStyle] = useState('straight');
+  const [tabSize, setTabSize] = useState(1);
+  const [bleed, setBleed] = useState(0);
+  const [alphaMode, setAlphaMode] = useState('straight');
+  const [dilatePx, setDilatePx] = useState(16);
+  const [minOpaqueArea, setMinOpaqueArea] = useState(0);
+  const [minCellArea, setMinCellArea] = useState(0);
+  const [minOpaqueRatio, setMinOpaqueRatio] = useState(0);
+  const [mergeGroups, setMergeGroups] = useState([]);
+  const [splitIslands, setSplitIslands] = useState(false);
+  const [minIslandArea, setMinIslandArea] = useState(64);
+  const [pivotMode, setPivotMode] = useState('padded');
+  const [customPivot, setCustomPivot] = useState(DEFAULT_CUSTOM_PIVOT);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [hoverId, setHoverId] = useState(null);
   const [pieces, setPieces] = useState([]);
+  const [sliceProgress, setSliceProgress] = useState(null);
+  const [sliceError, setSliceError] = useState('');
   const [isDraggingOver, setIsDraggingOver] = useState(false);
   const [uploadedFileName, setUploadedFileName] = useState('image');
   const [exportName, setExportName] = useState('sliced-pieces');
+  const [exportFormat, setExportFormat] = useState('pngs');
+  const [exportTarget, setExportTarget] = useState('unity');
+  const [atlasMaxSize, setAtlasMaxSize] = useState(2048);
+  const [atlasPadding, setAtlasPadding] = useState(2);
+  const [atlasRotation, setAtlasRotation] = useState(false);
+  const [exportColliders, setExportColliders] = useState(false);
+  const [colliderVertices, setColliderVertices] = useState(24);
+  const [exportPrint, setExportPrint] = useState(false);
+  const [printParams, setPrintParams] = useState(DEFAULT_PRINT_PARAMS);
+  const [pixelsPerUnit, setPixelsPerUnit] = useState(100);
+  const [includeUnityImporter, setIncludeUnityImporter] = useState(false);
+  const [unityTarget, setUnityTarget] = useState('world');
+  const [exportError, setExportError] = useState('');
+  const [explodeParams, setExplodeParams] = useState(DEFAULT_EXPLODE_PARAMS);
+  const [explodeFormat, setExplodeFormat] = useState('gif');
+  const [explodeBackground, setExplodeBackground] = useState('#ffffff');
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [subLevels, setSubLevels] = useState([]);
+  const [pieceTree, setPieceTree] = useState(null);
+  const [viewLevel, setViewLevel] = useState(0);
+  const [batchItems, setBatchItems] = useState([]);
+  const [activeBatchId, setActiveBatchId] = useState(null);
+  const [batchProgress, setBatchProgress] = useState(null);
+  const [batchError, setBatchError] = useState('');
+  const [history, setHistory] = useState({ entries: [], index: -1 });
+  const [snapshots, setSnapshots] = useState([]);
+  const [snapshotName, setSnapshotName] = useState('');
+  const [snapshotError, setSnapshotError] = useState('');
+  const [compareIds, setCompareIds] = useState([]);
+  const [comparison, setComparison] = useState(null);
   const canvasRef = useRef(null);
   const fileInputRef = useRef(null);
+  const layoutInputRef = useRef(null);
+  const folderInputRef = useRef(null);
+  const addImagesInputRef = useRef(null);
+  const layerInputRef = useRef(null);
+  const loadTokenRef = useRef(0);
+  const shownTokenRef = useRef(0);
   const imageDataRef = useRef(null);
+  const pointSourcesRef = useRef([]);
+  const dragRef = useRef(null);
+  const sliceClientRef = useRef(null);
+  const playRef = useRef(null);
+  const opaqueAreaRef = useRef(new WeakMap());
+
+  useEffect(() => {
+    sliceClientRef.current = createSliceWorkerClient();
+    return () => {
+      sliceClientRef.current.dispose();
+      cancelAnimationFrame(playRef.current);
+    };
+  }, []);
 
-  const loadFile = useCallback((file) => {
-    if (!file || !file.type || !file.type.startsWith('image/')) return;
+  // Merge groups and the selection name cell ids, so any change to the layout invalidates them
+  const clearMerges = () => {
+    setMergeGroups([]);
+    setSelectedIds([]);
+  };
 
-    const baseName = file.name ? file.name.replace(/\.[^.]+$/, '') : 'image';
-    setUploadedFileName(baseName);
-    setExportName(baseName || 'sliced-pieces');
+  // Show one queued image in the preview; if decodes overlap, the latest selection wins
+  const showBatchItem = useCallback((item, trim) => {
+    const token = ++loadTokenRef.current;
+    setActiveBatchId(item.id);
+    setUploadedFileName(item.name);
+    setExportName(item.name || 'sliced-pieces');
+    setLayerError('');
 
-    const reader = new FileReader();
-    reader.onload = (e) => {
-      const img = new Image();
-      img.onload = () => {
-        const trimmed = trimImageToOpaqueBounds(img, 8);
-        const handleFinalImage = (finalImage) => {
+    // Resolves true once this item is the one on screen
+    return loadSourceImage(item.file, { alphaThreshold: 8, trim })
+      .then(async ({ image: finalImage, frame }) => ({
+        finalImage,
+        frame,
+        layers: await loadCompanionLayers(item.layers, frame, finalImage),
+      }))
+      .then(
+        ({ finalImage, frame, layers }) => {
+          if (token !== loadTokenRef.current) return false;
+          shownTokenRef.current = token;
           setImage(finalImage);
+          setSourceFrame(frame);
+          setShownSource({ itemId: item.id, trim });
+          setCompanionLayers(layers);
           setPieces([]);
+          setImportedLayout(null);
+          setManualPoints([]);
+          setExcludedSeeds([]);
+          clearMerges();
           imageDataRef.current = getImagePixelData(finalImage);
-        };
-
-        if (trimmed.needsTrim) {
-          const trimmedImg = new Image();
-          trimmedImg.onload = () => handleFinalImage(trimmedImg);
-          trimmedImg.src = trimmed.dataUrl;
-        } else {
-          handleFinalImage(img);
+          return true;
+        },
+        (err) => {
+          if (token === loadTokenRef.current) {
+            setBatchError(`Could not load ${item.name}: ${err.message || 'unreadable image'}`);
+          }
+          return false;
         }
-      };
-      img.src = e.target.result;
-    };
-    reader.readAsDataURL(file);
+      );
+  }, []);
+
+  // A single image replaces the queue as before; several images (or a folder) are queued together
+  const loadFiles = (files, append = false) => {
+    const added = files.filter(isImageFile).map(createBatchItem);
+    if (!added.length) return;
+    if (!append) {
+      batchItems.forEach((item) => URL.revokeObjectURL(item.thumbUrl));
+      forgetHistoryItems(() => false);
+    }
+    setBatchItems(append ? [...batchItems, ...added] : added);
+    setBatchError('');
+    if (!append || !image) showBatchItem(added[0], trimSource);
+  };
+
+  const removeBatchItem = (id) => {
+    const index = batchItems.findIndex((item) => item.id === id);
+    const remaining = batchItems.filter((item) => item.id !== id);
+    URL.revokeObjectURL(batchItems[index].thumbUrl);
+    setBatchItems(remaining);
+    forgetHistoryItems((itemId) => itemId !== id);
+    if (id === activeBatchId && remaining.length) {
+      showBatchItem(remaining[Math.min(index, remaining.length - 1)], trimSource);
+    }
+  };
+
+  const updateBatchOverride = (id, field, value) => {
+    if (id === activeBatchId) clearMerges();
+    setBatchItems((prev) =>
+      prev.map((item) => (item.id === id ? { ...item, overrides: { ...item.overrides, [field]: value } } : item))
+    );
+  };
+
+  // The manifest waits for the image being loaded when it arrived (or a later one), never the one it replaces
+  const importLayoutFile = useCallback(async (file) => {
+    const token = loadTokenRef.current;
+    setLayoutError('');
+    try {
+      setPendingManifest({ manifest: await readManifestFile(file), token });
+    } catch (err) {
+      setLayoutError(err.message || 'Failed to read layout file');
+    }
   }, []);
 
-  const handleImageUpload = (event) => {
+  // Apply an imported manifest once its source image is loaded
+  useEffect(() => {
+    if (!image || !pendingManifest || shownTokenRef.current < pendingManifest.token) return;
+    setPendingManifest(null);
+    try {
+      const layout = parseLayoutManifest(pendingManifest.manifest, image, sourceFrame);
+      const { settings } = layout;
+      if (settings.seed != null) setSeed(settings.seed);
+      if (settings.requestedPieces != null) setNumPieces(settings.requestedPieces);
+      if (settings.relaxationIterations != null) setRelaxIterations(settings.relaxationIterations);
+      setManualPoints(settings.manualPoints);
+      setExcludedSeeds(settings.excludedSeedIndices);
+      if (settings.slicerType) setSlicerType(settings.slicerType);
+      if (settings.slicerParams) {
+        setSlicerParams((prev) => ({ ...prev, [settings.slicerType]: settings.slicerParams }));
+      }
+      if (settings.contentAware) {
+        setDetailStrength(settings.contentAware.strength);
+        setDetailMetric(settings.contentAware.metric);
+        setSnapToEdges(settings.contentAware.snapToEdges);
+      }
+      if (settings.cutStyle) setCutStyle(settings.cutStyle);
+      if (settings.tabSize != null) setTabSize(settings.tabSize);
+      if (settings.bleed != null) setBleed(settings.bleed);
+      setMinOpaqueArea(settings.minOpaqueArea);
+      setMinCellArea(settings.minCellArea);
+      setMinOpaqueRatio(settings.minOpaqueRatio);
+      setMergeGroups(settings.mergeGroups);
+      setSplitIslands(settings.splitIslands);
+      setMinIslandArea(settings.minIslandArea);
+      setPivotMode(settings.pivotMode);
+      if (settings.customPivot) setCustomPivot(settings.customPivot);
+      if (settings.alphaMode) setAlphaMode(settings.alphaMode);
+      if (settings.dilatePx != null) setDilatePx(settings.dilatePx);
+      if (settings.pixelsPerUnit != null) setPixelsPerUnit(settings.pixelsPerUnit);
+      if (settings.atlas) {
+        setExportFormat('atlas');
+        if (settings.atlas.maxSize != null) setAtlasMaxSize(settings.atlas.maxSize);
+        if (settings.atlas.padding != null) setAtlasPadding(settings.atlas.padding);
+        setAtlasRotation(settings.atlas.allowRotation);
+      }
+      setSelectedIds([]);
+      setSubLevels(
+        settings.subdivisions.map(({ count, parentIds }) => ({ count, parentIdsText: parentIds ? parentIds.join(', ') : '' }))
+      );
+      setImportedLayout(layout);
+      setLayoutError('');
+    } catch (err) {
+      setLayoutError(err.message || 'Failed to import layout');
+    }
+  }, [image, sourceFrame, pendingManifest]);
+
+  const handleImageUpload = (append) => (event) => {
+    loadFiles(Array.from(event.target.files || []), append);
+    event.target.value = '';
+  };
+
+  const handleFolderUpload = (event) => {
+    const files = Array.from(event.target.files || []).sort((a, b) =>
+      a.webkitRelativePath.localeCompare(b.webkitRelativePath)
+    );
+    loadFiles(files);
+    event.target.value = '';
+  };
+
+  const handleLayoutUpload = (event) => {
     const file = event.target.files && event.target.files[0];
-    loadFile(file);
+    if (file) importLayoutFile(file);
+    event.target.value = '';
   };
 
-  const handleDrop = (event) => {
+  const handleDrop = async (event) => {
     event.preventDefault();
     event.stopPropagation();
     setIsDraggingOver(false);
-    const file = event.dataTransfer?.files?.[0];
-    loadFile(file);
+    // Accept images or folders and/or a previously exported zip / manifest dropped together
+    const layoutFile = Array.from(event.dataTransfer?.files || []).find(isLayoutFile);
+    const files = await collectDroppedFiles(event.dataTransfer);
+    loadFiles(files);
+    if (layoutFile) importLayoutFile(layoutFile);
   };
 
+  // Manual settings changes leave the imported layout and go back to generated points
+  const editSetting = (setter) => (value) => {
+    setImportedLayout(null);
+    clearMerges();
+    setter(value);
+  };
+
+  const updateSlicerParams = (type, patch) => {
+    setImportedLayout(null);
+    clearMerges();
+    setSlicerParams((prev) => ({ ...prev, [type]: { ...prev[type], ...patch } }));
+  };
+
+  const canEditPoints = isRandomSlicer(slicerType);
+
+  const activeBatchItem = batchItems.find((item) => item.id === activeBatchId);
+  const activeOverrides = activeBatchItem?.overrides;
+
+  // Attach a companion map to the previewed image; a second map of the same kind replaces the first
+  const addCompanionLayer = async (file) => {
+    if (!activeBatchItem || !image) return;
+    setLayerError('');
+    const token = loadTokenRef.current;
+    const entry = { name: layerKind, file };
+    try {
+      const [loaded] = await loadCompanionLayers([entry], sourceFrame, image);
+      if (token !== loadTokenRef.current) return;
+      setBatchItems((prev) =>
+        prev.map((item) =>
+          item.id === activeBatchItem.id
+            ? { ...item, layers: [...item.layers.filter((layer) => layer.name !== entry.name), entry] }
+            : item
+        )
+      );
+      setCompanionLayers((prev) => [...prev.filter((layer) => layer.name !== entry.name), loaded]);
+    } catch (err) {
+      setLayerError(err.message || 'Could not load layer');
+    }
+  };
+
+  const removeCompanionLayer = (name) => {
+    setBatchItems((prev) =>
+      prev.map((item) =>
+        item.id === activeBatchId ? { ...item, layers: item.layers.filter((layer) => layer.name !== name) } : item
+      )
+    );
+    setCompanionLayers((prev) => prev.filter((layer) => layer.name !== name));
+  };
+
+  // Everything that decides the previewed layout; undo and snapshots restore exactly this
+  const layoutState = {
+    settings: {
+      numPieces,
+      seed,
+      relaxIterations,
+      slicerType,
+      slicerParams,
+      manualPoints,
+      excludedSeeds,
+      detailMetric,
+      detailStrength,
+      snapToEdges,
+      cutStyle,
+      tabSize,
+      bleed,
+      minOpaqueArea,
+      minCellArea,
+      minOpaqueRatio,
+      mergeGroups,
+      splitIslands,
+      minIslandArea,
+      pivotMode,
+      customPivot,
+      subLevels,
+    },
+    overrides: activeOverrides ?? null,
+    importedLayout,
+  };
+  const sharedSettings = toSliceSettings(layoutState.settings);
+  // The previewed image uses the shared settings with its own queue overrides on top
+  const sliceSettings = resolveBatchSettings(sharedSettings, activeOverrides);
+
+  // Seed-point edits change the piece count wherever it currently comes from
+  const setPieceCount = (count) => {
+    if (activeOverrides?.numPieces != null) updateBatchOverride(activeBatchId, 'numPieces', count);
+    else setNumPieces(count);
+  };
+
+  const layoutSetters = {
+    numPieces: setNumPieces,
+    seed: setSeed,
+    relaxIterations: setRelaxIterations,
+    slicerType: setSlicerType,
+    slicerParams: setSlicerParams,
+    manualPoints: setManualPoints,
+    excludedSeeds: setExcludedSeeds,
+    detailMetric: setDetailMetric,
+    detailStrength: setDetailStrength,
+    snapToEdges: setSnapToEdges,
+    cutStyle: setCutStyle,
+    tabSize: setTabSize,
+    bleed: setBleed,
+    minOpaqueArea: setMinOpaqueArea,
+    minCellArea: setMinCellArea,
+    minOpaqueRatio: setMinOpaqueRatio,
+    mergeGroups: setMergeGroups,
+    splitIslands: setSplitIslands,
+    minIslandArea: setMinIslandArea,
+    pivotMode: setPivotMode,
+    customPivot: setCustomPivot,
+    subLevels: setSubLevels,
+  };
+
+  // Put a recorded layout state back. Every slicer is seeded, so the same pieces come back
+  const applyLayoutState = ({ settings, overrides, importedLayout: layout }, itemId = activeBatchId) => {
+    Object.entries(settings).forEach(([key, value]) => layoutSetters[key]?.(value));
+    if (overrides) {
+      setBatchItems((prev) => prev.map((item) => (item.id === itemId ? { ...item, overrides } : item)));
+    }
+    setImportedLayout(layout);
+    setSelectedIds([]);
+  };
+
+  // Record each layout the user settles on; a burst of slider moves becomes one undo step.
+  // Entries are { itemId, trim, key }: the source they were made on and the layout state as JSON.
+  const layoutKey = useMemo(
+    () => (image ? JSON.stringify(layoutState) : null),
+    [image, numPieces, seed, relaxIterations, slicerType, slicerParams, manualPoints, excludedSeeds, detailMetric, detailStrength, snapToEdges, cutStyle, tabSize, bleed, minOpaqueArea, minCellArea, minOpaqueRatio, mergeGroups, splitIslands, minIslandArea, pivotMode, customPivot, subLevels, activeOverrides, importedLayout]
+  );
+  const currentEntry = layoutKey && shownSource ? { ...shownSource, key: layoutKey } : null;
+  const sameEntry = (a, b) => Boolean(a && b) && a.key === b.key && a.itemId === b.itemId && a.trim === b.trim;
+
+  useEffect(() => {
+    if (!currentEntry) return;
+    const t = setTimeout(() => {
+      setHistory((prev) => {
+        if (sameEntry(prev.entries[prev.index], currentEntry)) return prev;
+        const entries = [...prev.entries.slice(0, prev.index + 1), currentEntry].slice(-HISTORY_LIMIT);
+        return { entries, index: entries.length - 1 };
+      });
+    }, 500);
+    return () => clearTimeout(t);
+  }, [layoutKey, shownSource]);
+
+  // Undo steps on queue items that are gone are forgotten with them
+  const forgetHistoryItems = (keep) =>
+    setHistory((prev) => {
+      const entries = prev.entries.filter((entry) => keep(entry.itemId));
+      const index = prev.entries.slice(0, prev.index + 1).filter((entry) => keep(entry.itemId)).length - 1;
+      return { entries, index };
+    });
+
+  const settled = sameEntry(currentEntry, history.entries[history.index]);
+  const canUndo = history.index > 0 || (!settled && history.entries.length > 0);
+  const canRedo = settled && history.index < history.entries.length - 1;
+
+  const stepHistory = (delta) => {
+    let { entries, index } = history;
+    // A change still inside the recording delay becomes its own step first
+    if (currentEntry && !settled) {
+      entries = [...entries.slice(0, index + 1), currentEntry].slice(-HISTORY_LIMIT);
+      index = entries.length - 1;
+    }
+    const target = index + delta;
+    if (target < 0 || target >= entries.length) return;
+    setHistory({ entries, index: target });
+    const entry = entries[target];
+    if (entry.itemId === shownSource?.itemId && entry.trim === shownSource?.trim) {
+      applyLayoutState(JSON.parse(entry.key));
+      return;
+    }
+    // The step crosses an image swap (or trim toggle): bring that source back first
+    const item = batchItems.find((other) => other.id === entry.itemId);
+    if (!item) return;
+    setTrimSource(entry.trim);
+    showBatchItem(item, entry.trim).then((shown) => shown && applyLayoutState(JSON.parse(entry.key), item.id));
+  };
+
+  // Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z or Ctrl+Y redoes, except while typing in a field
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (!(event.ctrlKey || event.metaKey)) return;
+      if (event.target.closest?.('textarea, select, input:not([type="range"]):not([type="checkbox"])')) return;
+      const key = event.key.toLowerCase();
+      if (key !== 'z' && key !== 'y') return;
+      event.preventDefault();
+      stepHistory(key === 'y' || event.shiftKey ? 1 : -1);
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  });
+
+  const refreshSnapshots = () =>
+    listSnapshots().then(setSnapshots, (err) => setSnapshotError(err.message || 'Could not read snapshots'));
+
+  useEffect(() => {
+    refreshSnapshots();
+  }, []);
+
+  const saveCurrentSnapshot = async () => {
+    if (!image || !activeBatchItem) return;
+    setSnapshotError('');
+    const { file } = activeBatchItem;
+    const pieceCount = selectLevelPieces(pieces, pieceTree, 0).length;
+    try {
+      await saveSnapshot({
+        name: snapshotName.trim() || `${activeBatchItem.name} · ${pieceCount} pieces`,
+        state: layoutState,
+        points: voronoiPoints,
+        pieceCount,
+        source: {
+          name: file.name,
+          type: file.type,
+          width: image.width,
+          height: image.height,
+          trimmed: trimSource,
+          blob: file,
+        },
+      });
+      setSnapshotName('');
+      await refreshSnapshots();
+    } catch (err) {
+      setSnapshotError(err.message || 'Could not save snapshot');
+    }
+  };
+
+  // Restore a snapshot, queueing its stored source first when another image is on screen
+  const restoreSnapshot = async (id) => {
+    setSnapshotError('');
+    try {
+      const { state, source } = await loadSnapshot(id);
+      const file = activeBatchItem?.file;
+      // Snapshots from before trimming was optional were always trimmed
+      const trim = source.trimmed ?? true;
+      const sameSource =
+        image &&
+        trim === trimSource &&
+        file?.name === source.name &&
+        file.size === source.blob.size &&
+        image.width === source.width &&
+        image.height === source.height;
+      if (sameSource) {
+        applyLayoutState(state);
+        return;
+      }
+      const item = createBatchItem(new File([source.blob], source.name, { type: source.type }));
+      setBatchItems((prev) => [...prev, item]);
+      setTrimSource(trim);
+      if (await showBatchItem(item, trim)) applyLayoutState(state, item.id);
+    } catch (err) {
+      setSnapshotError(err.message || 'Could not restore snapshot');
+    }
+  };
+
+  const removeSnapshot = (id) => {
+    setCompareIds((prev) => prev.filter((other) => other !== id));
+    deleteSnapshot(id).then(refreshSnapshots, (err) => setSnapshotError(err.message || 'Could not delete snapshot'));
+  };
+
+  // Two ticked snapshots are compared; ticking a third drops the earliest pick
+  const toggleCompare = (id) =>
+    setCompareIds((prev) => (prev.includes(id) ? prev.filter((other) => other !== id) : [...prev, id].slice(-2)));
+
+  useEffect(() => {
+    if (compareIds.length < 2) {
+      setComparison(null);
+      return;
+    }
+    let cancelled = false;
+    Promise.all(
+      compareIds.map(async (id) => {
+        const { name, source, state } = await loadSnapshot(id);
+        const { image: sourceImage } = await loadSourceImage(source.blob, {
+          alphaThreshold: 8,
+          trim: source.trimmed ?? true,
+        });
+        return { id, name, sourceName: source.name, ...renderLayoutOutline(sourceImage, state) };
+      })
+    ).then(
+      (sides) => !cancelled && setComparison(sides),
+      (err) => !cancelled && setSnapshotError(err.message || 'Could not compare snapshots')
+    );
+    return () => {
+      cancelled = true;
+    };
+  }, [compareIds]);
+
+  // Pieces on the previewed / exported level of the re-slice tree
+  const activeLevel = viewLevel === 'leaves' || viewLevel <= subLevels.length ? viewLevel : 0;
+  const levelPieces = selectLevelPieces(pieces, pieceTree, activeLevel);
+  const selectedPieces = levelPieces.filter((piece) => selectedIds.includes(piece.id));
+  const baseExportName = (exportName?.trim() || uploadedFileName || 'sliced-pieces').replace(/\s+/g, '-');
+
+  // The shatter slicer's impact point doubles as the explosion origin
+  const explodeSettings =
+    slicerType === 'shatter' ? { ...explodeParams, impact: slicerParams.shatter.impact } : explodeParams;
+
   const handleDragOver = (event) => {
     event.preventDefault();
     event.stopPropagation();
@@ -79,180 +705,529 @@ function App() {
     setIsDraggingOver(false);
   };
 
-  const sliceNow = useCallback(() => {
-    if (!image) return;
-
+  const drawSlicedPreview = (slicedPieces, points) => {
     const canvas = canvasRef.current;
     if (!canvas) return;
     const ctx = canvas.getContext('2d');
 
-    // Set canvas size to match image
-    canvas.width = image.width;
-    canvas.height = image.height;
-
-    // Generate Voronoi points
-    const imageData = imageDataRef.current;
-    const points = imageData
-      ? generateVoronoiPointsFromAlpha(imageData, image.width, image.height, numPieces, 8)
-      : generateVoronoiPoints(image.width, image.height, numPieces);
-    const voronoi = createVoronoi(points, image.width, image.height);
-
-    // Slice image into pieces
-    const slicedPieces = sliceImageIntoVoronoiPieces(image, voronoi, numPieces, {
-      alphaThreshold: 8,
-      minOpaqueRatio: 0,
-      includeOutline: true,
-    });
-    setPieces(slicedPieces);
-
     // Draw pieces on canvas
     drawPieces(ctx, slicedPieces, { includeOutline: true });
-  }, [image, numPieces]);
+    drawPieceHighlights(ctx, slicedPieces, selectedIds);
+    if (hoverId != null && !selectedIds.includes(hoverId)) {
+      drawPieceHighlights(ctx, slicedPieces, [hoverId], '#a5b4fc');
+    }
+    if (editPoints && isRandomSlicer(slicerType)) {
+      const rect = canvas.getBoundingClientRect();
+      const scale = rect.width ? canvas.width / rect.width : 1;
+      const manualCount = importedLayout ? 0 : manualPoints.length;
+      drawSeedPoints(ctx, points, manualCount, 5 * scale);
+    }
+  };
+
+  const sliceNow = useCallback(() => {
+    if (!image || !canvasRef.current) return;
+
+    // Layout, merges, re-sliced levels and pieces all run in the worker; a newer slice cancels this one
+    setSliceProgress({ done: 0, total: 0 });
+    setSliceError('');
+    sliceClientRef.current
+      .sliceLayout(
+        image,
+        { settings: sliceSettings, imageData: imageDataRef.current, importedLayout },
+        { layers: companionLayers },
+        (done, total) => setSliceProgress({ done, total })
+      )
+      .then(({ points, pointSources, tree, mergedIds, pieces: slicedPieces }) => {
+        pointSourcesRef.current = pointSources;
+        setVoronoiPoints(points);
+        setPieces(withMergedIds(slicedPieces, mergedIds));
+        setPieceTree(withIslandNodes(tree, slicedPieces));
+        setSliceProgress(null);
+        if (playRef.current) {
+          cancelAnimationFrame(playRef.current);
+          playRef.current = null;
+          setIsPlaying(false);
+        }
+      })
+      .catch((err) => {
+        if (err instanceof SliceCancelledError) return;
+        setSliceProgress(null);
+        setSliceError(err.message || 'Slicing failed');
+      });
+  }, [image, numPieces, seed, relaxIterations, importedLayout, manualPoints, excludedSeeds, slicerType, slicerParams, detailStrength, detailMetric, snapToEdges, cutStyle, tabSize, bleed, subLevels, activeOverrides, minOpaqueArea, minCellArea, minOpaqueRatio, mergeGroups, splitIslands, minIslandArea, pivotMode, customPivot, companionLayers]);
 
-  // Re-slice in realtime as slider moves (debounced)
+  // Re-slice in realtime as slider moves (debounced, immediate while dragging a seed)
   useEffect(() => {
     if (!image) return;
+    sliceClientRef.current?.cancel();
     const t = setTimeout(() => {
       sliceNow();
-    }, 200);
+    }, dragRef.current ? 0 : 200);
     return () => clearTimeout(t);
-  }, [image, numPieces, sliceNow]);
+  }, [image, numPieces, seed, relaxIterations, importedLayout, manualPoints, excludedSeeds, slicerType, slicerParams, detailStrength, detailMetric, snapToEdges, cutStyle, tabSize, bleed, subLevels, activeOverrides, minOpaqueArea, minCellArea, minOpaqueRatio, mergeGroups, splitIslands, minIslandArea, pivotMode, customPivot, companionLayers, sliceNow]);
 
-  const downloadPiecesZip = async () => {
-    if (!pieces.length) return;
+  // Redraw after each slice and when switching the previewed level
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !image || !pieces.length || playRef.current) return;
+
+    // Set canvas size to match image (resizing also clears it, so skip that on hover redraws)
+    if (canvas.width !== image.width || canvas.height !== image.height) {
+      canvas.width = image.width;
+      canvas.height = image.height;
+    }
+    drawSlicedPreview(levelPieces, voronoiPoints);
+  }, [pieces, pieceTree, activeLevel, selectedIds, hoverId, editPoints]);
+
+  const toImagePoint = (event) => {
+    const canvas = canvasRef.current;
+    const rect = canvas.getBoundingClientRect();
+    return [
+      ((event.clientX - rect.left) * canvas.width) / rect.width,
+      ((event.clientY - rect.top) * canvas.height) / rect.height,
+    ];
+  };
+
+  const findSeedAt = ([x, y]) => {
+    const canvas = canvasRef.current;
+    const rect = canvas.getBoundingClientRect();
+    const hitRadius = (10 * canvas.width) / rect.width;
+    let best = -1;
+    let bestDist2 = hitRadius * hitRadius;
+    voronoiPoints.forEach(([px, py], idx) => {
+      const d2 = (px - x) ** 2 + (py - y) ** 2;
+      if (d2 <= bestDist2) {
+        bestDist2 = d2;
+        best = idx;
+      }
+    });
+    return best;
+  };
+
+  // Editing an imported layout pins all of its points so nothing moves
+  const beginPointEdit = () => {
+    if (importedLayout?.points) {
+      setImportedLayout(null);
+      return { manual: importedLayout.points.map(([x, y]) => [x, y]), excluded: [], count: importedLayout.points.length };
+    }
+    if (importedLayout) setImportedLayout(null);
+    clearMerges();
+    return { manual: [...manualPoints], excluded: [...excludedSeeds], count: sliceSettings.numPieces };
+  };
+
+  const handleCanvasMouseDown = (event) => {
+    if (!image || event.button !== 0) return;
+    const point = toImagePoint(event);
+
+    if (!editPoints || !canEditPoints) {
+      // Alt-click places the impact point: the shatter slicer's, otherwise the explosion's
+      if (event.altKey) {
+        const impact = { x: point[0] / image.width, y: point[1] / image.height };
+        if (slicerType === 'shatter') updateSlicerParams('shatter', { impact });
+        else if (pieces.length) setExplodeParams((prev) => ({ ...prev, impact }));
+        return;
+      }
+      // Click selects one piece; shift / ctrl / cmd-click toggles pieces in the selection
+      const piece = findPieceAt(levelPieces, point);
+      const toggle = event.shiftKey || event.ctrlKey || event.metaKey;
+      if (!piece) {
+        if (!toggle) setSelectedIds([]);
+      } else if (toggle) {
+        setSelectedIds((prev) => (prev.includes(piece.id) ? prev.filter((id) => id !== piece.id) : [...prev, piece.id]));
+      } else {
+        setSelectedIds([piece.id]);
+      }
+      return;
+    }
+
+    const hit = findSeedAt(point);
+    const source = hit >= 0 ? pointSourcesRef.current[hit] : null;
+    const { manual, excluded, count } = beginPointEdit();
+
+    if (source?.manual != null || source?.imported != null) {
+      dragRef.current = { index: source.manual ?? source.imported };
+    } else if (source?.generated != null) {
+      // Dragging a generated seed pins it in place of its generated slot
+      manual.push(voronoiPoints[hit]);
+      excluded.push(source.generated);
+      dragRef.current = { index: manual.length - 1 };
+    } else if (count < MAX_PIECES) {
+      manual.push(point);
+      setPieceCount(count + 1);
+    }
+
+    if (count !== sliceSettings.numPieces && source) setPieceCount(count);
+    setManualPoints(manual);
+    setExcludedSeeds(excluded);
+  };
+
+  const handleCanvasMouseMove = (event) => {
+    if (!dragRef.current) {
+      if (editPoints && canEditPoints) return;
+      const piece = pieces.length && !playRef.current ? findPieceAt(levelPieces, toImagePoint(event)) : null;
+      const id = piece ? piece.id : null;
+      if (id !== hoverId) setHoverId(id);
+      return;
+    }
+    const point = toImagePoint(event);
+    const { index } = dragRef.current;
+    setManualPoints((prev) => prev.map((p, i) => (i === index ? point : p)));
+  };
+
+  const endPointDrag = () => {
+    dragRef.current = null;
+  };
+
+  const handleCanvasMouseLeave = () => {
+    endPointDrag();
+    setHoverId(null);
+  };
+
+  const handleCanvasContextMenu = (event) => {
+    if (!editPoints || !canEditPoints || !image) return;
+    event.preventDefault();
+    const hit = findSeedAt(toImagePoint(event));
+    if (hit < 0) return;
+    const source = pointSourcesRef.current[hit];
+    const { manual, excluded, count } = beginPointEdit();
+
+    if (source.manual != null || source.imported != null) {
+      manual.splice(source.manual ?? source.imported, 1);
+    } else if (source.generated != null) {
+      excluded.push(source.generated);
+    }
+
+    setManualPoints(manual);
+    setExcludedSeeds(excluded);
+    setPieceCount(Math.max(MIN_PIECES, count - 1));
+  };
+
+  const clearManualPoints = () => {
+    setImportedLayout(null);
+    clearMerges();
+    setManualPoints([]);
+    setExcludedSeeds([]);
+  };
+
+  // Selected pieces become one merge group; the slicer folds them into the largest
+  const mergeSelectedPieces = () => {
+    // Island pieces merge through the cell they were split from
+    const cellIds = [...new Set(selectedPieces.map((piece) => piece.island?.cellId ?? piece.id))];
+    if (cellIds.length < 2) return;
+    setMergeGroups((prev) => [...prev, cellIds]);
+    setSelectedIds([]);
+  };
+
+  const useAtlasExport = exportFormat === 'atlas' || targetRequiresAtlas(exportTarget);
+
+  const exportOptionsError = () =>
+    getExportTargetError(exportTarget, {
+      useAtlas: useAtlasExport,
+      allowRotation: atlasRotation,
+      unityImporter: exportTarget === 'unity' && includeUnityImporter,
+    });
+
+  // Pack, build the manifest and write one image's export into a zip folder.
+  // Packing runs first so an oversize piece throws before any PNG is encoded.
+  const writeImageExport = async (
+    folder,
+    { baseName, fileBaseName, source, frame, settings, exportPieces, points, tree, selectedIds: subsetIds = null }
+  ) => {
+    const atlasOptions = { maxSize: atlasMaxSize, padding: atlasPadding, allowRotation: atlasRotation };
+    const packed = subsetIds ? exportPieces.filter((piece) => subsetIds.has(piece.id)) : exportPieces;
+    const atlasSheets = useAtlasExport ? packPieceAtlases(packed, atlasOptions) : null;
+
+    const manifest = createSliceManifest({
+      fileBaseName,
+      width: source?.width,
+      height: source?.height,
+      frame,
+      slicer: createSlicerBlock(settings, {
+        width: source?.width,
+        height: source?.height,
+        points,
+      }),
+      pixelsPerUnit,
+    });
+
+    return addSliceExport(folder, {
+      baseName,
+      manifest,
+      pieces: exportPieces,
+      atlasSheets,
+      atlasOptions,
+      colliders: exportColliders ? { alphaThreshold: settings.alphaThreshold, maxVertices: colliderVertices } : null,
+      unityImporter: exportTarget === 'unity' && includeUnityImporter ? { target: unityTarget } : null,
+      exportTarget,
+      explode: { params: explodeSettings, seed: settings.seed },
+      hierarchy: tree && { tree, level: activeLevel },
+      alphaMode,
+      dilatePx,
+      selectedIds: subsetIds,
+      print: exportPrint ? { ...printParams, source } : null,
+      encodePng: (canvas) => canvasToBlob(canvas, 'image/png'),
+    });
+  };
+
+  const updatePrintParams = (patch) => setPrintParams((prev) => ({ ...prev, ...patch }));
+
+  // With subsetIds, the zip holds only those pieces and a partial manifest
+  const downloadPiecesZip = async (subsetIds = null) => {
+    if (!levelPieces.length) return;
+    setExportError('');
+
+    const targetError = exportOptionsError();
+    if (targetError) {
+      setExportError(targetError);
+      return;
+    }
 
-    const baseExportName = (exportName?.trim() || uploadedFileName || 'sliced-pieces').replace(/\s+/g, '-');
     const zip = new JSZip();
     const folder = zip.folder(baseExportName);
     if (!folder) return;
 
-    const manifest = {
-      source: {
+    try {
+      await writeImageExport(folder, {
+        baseName: baseExportName,
         fileBaseName: uploadedFileName,
-        width: image?.width ?? null,
-        height: image?.height ?? null,
-        coordinateSystem: {
-          name: 'image',
-          origin: 'top-left',
-          x: 'right',
-          y: 'down',
-          units: 'pixels',
-        },
-      },
-      unity: {
-        pixelsPerUnit: 100,
-        coordinateSystem: {
-          name: 'unity-2d-world',
-          origin: 'image-center',
-          x: 'right',
-          y: 'up',
-          units: 'world',
-        },
-        placement: {
-          spritePivot: 'center',
-          positionUses: 'piece center',
-          formula: {
-            worldX: '(centerPx.x - source.width/2) / pixelsPerUnit',
-            worldY: '(source.height/2 - centerPx.y) / pixelsPerUnit',
-          },
-        },
-      },
-      ugui: {
-        intendedUse: 'Canvas Screen Space (pixel-perfect placement)',
-        coordinateSystem: {
-          name: 'recttransform-anchored',
-          origin: 'parent-rect-center',
-          x: 'right',
-          y: 'up',
-          units: 'pixels',
-        },
-        placement: {
-          recommendedCanvas: {
-            renderMode: 'ScreenSpaceOverlay',
-            canvasScaler: 'ConstantPixelSize',
-          },
-          parentRect: {
-            sizeDeltaPx: { width: 'source.width', height: 'source.height' },
-            anchors: 'center',
-            pivot: 'center',
-          },
-          pieceRect: {
-            anchors: 'center',
-            pivot: 'center',
-            positionUses: 'piece center',
-            formula: {
-              anchoredX: 'centerPx.x - source.width/2',
-              anchoredY: 'source.height/2 - centerPx.y',
-            },
-          },
-        },
-      },
-      slicer: {
-        type: 'voronoi',
-        requestedPieces: numPieces,
-        alphaThreshold: 8,
-        minOpaqueRatio: 0.01,
-      },
-      pieces: [],
+        source: image,
+        frame: sourceFrame,
+        settings: sliceSettings,
+        exportPieces: levelPieces,
+        points: voronoiPoints,
+        tree: pieceTree,
+        selectedIds: subsetIds,
+      });
+    } catch (err) {
+      setExportError(err.message);
+      return;
+    }
+
+    const zipBlob = await zip.generateAsync({ type: 'blob' });
+    downloadBlob(zipBlob, subsetIds ? `${baseExportName}-selection.zip` : `${baseExportName}.zip`);
+  };
+
+  // One piece as its export PNG, or several composited at their source positions
+  const downloadSelectedPng = async () => {
+    if (!selectedPieces.length) return;
+    const single = selectedPieces.length === 1 ? selectedPieces[0] : null;
+    const { canvas } = single ? single : composePieces(selectedPieces);
+    const png =
+      alphaMode === 'straight'
+        ? await canvasToBlob(canvas, 'image/png')
+        : new Blob([await encodeCanvasPng(canvas, alphaMode, { alphaThreshold: sliceSettings.alphaThreshold, dilatePx })], { type: 'image/png' });
+    const fileName = single
+      ? pieceFileName(baseExportName, levelPieces.indexOf(single), single.id)
+      : `${baseExportName}-selection.png`;
+    downloadBlob(png, fileName);
+  };
+
+  const getOpaqueArea = (piece) => {
+    const cache = opaqueAreaRef.current;
+    if (!cache.has(piece.canvas)) cache.set(piece.canvas, measureOpaqueArea(piece.canvas, 8));
+    return cache.get(piece.canvas);
+  };
+
+  // The inspector shows the entry the export would write for the last piece clicked
+  const inspectedPiece =
+    selectedPieces.find((piece) => piece.id === selectedIds[selectedIds.length - 1]) || selectedPieces[0];
+  const inspectedEntry =
+    inspectedPiece &&
+    createPieceEntry(
+      inspectedPiece,
+      createSliceManifest({
+        fileBaseName: uploadedFileName,
+        width: image?.width,
+        height: image?.height,
+        frame: sourceFrame,
+        slicer: null,
+        pixelsPerUnit,
+      }),
+      {
+        file: useAtlasExport
+          ? null
+          : pieceFileName(baseExportName, levelPieces.indexOf(inspectedPiece), inspectedPiece.id),
+        node: pieceTree?.get(inspectedPiece.id),
+      }
+    );
+
+  // Slice one queued image off-screen, on the same level the preview exports
+  const sliceBatchImage = async (client, source, settings, layout, layers) => {
+    const { points, tree, mergedIds, pieces: allPieces } = await client.sliceLayout(
+      source,
+      { settings, imageData: getImagePixelData(source), importedLayout: layout },
+      { layers }
+    );
+    const islandTree = withIslandNodes(tree, allPieces);
+    return {
+      points,
+      tree: islandTree,
+      exportPieces: selectLevelPieces(withMergedIds(allPieces, mergedIds), islandTree, activeLevel),
     };
+  };
 
-      const exportJobs = pieces.map(async (piece, idx) => {
-      const blob = await canvasToBlob(piece.canvas, 'image/png');
-      const padded = String(idx + 1).padStart(3, '0');
-
-        const fileName = `${baseExportName}-${padded}-piece-${piece.id}.png`;
-      folder.file(fileName, blob);
-
-      const width = piece.canvas?.width ?? piece.width;
-      const height = piece.canvas?.height ?? piece.height;
-      const centerX = piece.originalX + width / 2;
-      const centerY = piece.originalY + height / 2;
-
-      const srcW = image?.width ?? null;
-      const srcH = image?.height ?? null;
-      const ppu = manifest.unity.pixelsPerUnit;
-      const worldCenterX = srcW != null ? (centerX - srcW / 2) / ppu : null;
-      const worldCenterY = srcH != null ? (srcH / 2 - centerY) / ppu : null;
-
-      const anchoredX = srcW != null ? (centerX - srcW / 2) : null;
-      const anchoredY = srcH != null ? (srcH / 2 - centerY) : null;
-
-      const polygonAbs = (piece.cell || []).map(([x, y]) => [x, y]);
-      const polygonLocal = (piece.cell || []).map(([x, y]) => [x - piece.originalX, y - piece.originalY]);
-
-      manifest.pieces.push({
-        id: piece.id,
-        file: fileName,
-        boundsPx: {
-          x: piece.originalX,
-          y: piece.originalY,
-          width,
-          height,
-        },
-        centerPx: { x: centerX, y: centerY },
-        unityWorldCenter: { x: worldCenterX, y: worldCenterY },
-        uguiAnchoredCenterPx: { x: anchoredX, y: anchoredY },
-        uguiSizePx: { width, height },
-        polygonAbsPx: polygonAbs,
-        polygonLocalPx: polygonLocal,
-      });
-    });
+  // One zip with a folder and manifest per queued image plus a top-level index.
+  // Manual seeds and imported layouts belong to the previewed image only.
+  const downloadBatchZip = async () => {
+    if (!batchItems.length || batchProgress) return;
+    setBatchError('');
 
-    await Promise.all(exportJobs);
+    const targetError = exportOptionsError();
+    if (targetError) {
+      setBatchError(targetError);
+      return;
+    }
 
-    // Keep manifest ordering stable for editor tools
-    manifest.pieces.sort((a, b) => a.id - b.id);
-    folder.file(`${baseExportName}-slice-positioner.json`, JSON.stringify(manifest, null, 2));
+    const zip = new JSZip();
+    const folders = assignBatchFolders(batchItems);
+    // Own worker, so preview re-slices cannot cancel a batch job
+    const client = createSliceWorkerClient();
+    const entries = [];
+    setBatchProgress({ done: 0, total: batchItems.length });
 
-    const zipBlob = await zip.generateAsync({ type: 'blob' });
+    try {
+      for (const [index, item] of batchItems.entries()) {
+        const folderName = folders.get(item.id);
+        const isActive = item.id === activeBatchId;
+        const settings = isActive
+          ? sliceSettings
+          : {
+              ...resolveBatchSettings(sharedSettings, item.overrides),
+              manualPoints: [],
+              excludedSeeds: [],
+              mergeGroups: [],
+            };
+        const entry = { folder: folderName, sourceFile: item.file.name, overrides: item.overrides };
+        try {
+          const { image: source, frame } =
+            isActive && image
+              ? { image, frame: sourceFrame }
+              : await loadSourceImage(item.file, { alphaThreshold: 8, trim: trimSource });
+          const layers =
+            isActive && image ? companionLayers : await loadCompanionLayers(item.layers, frame, source);
+          const sliced = await sliceBatchImage(client, source, settings, isActive ? importedLayout : null, layers);
+          entry.manifest = await writeImageExport(zip.folder(folderName), {
+            baseName: folderName,
+            fileBaseName: item.name,
+            source,
+            frame,
+            settings,
+            ...sliced,
+          });
+        } catch (err) {
+          entry.error = err.message;
+        }
+        entries.push(entry);
+        setBatchProgress({ done: index + 1, total: batchItems.length });
+      }
+    } finally {
+      client.dispose();
+      setBatchProgress(null);
+    }
 
-    const url = URL.createObjectURL(zipBlob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `${baseExportName}.zip`;
-    document.body.appendChild(a);
-    a.click();
-    a.remove();
+    const { manualPoints: _manual, excludedSeeds: _excluded, mergeGroups: _merges, ...shared } = sharedSettings;
+    zip.file(BATCH_INDEX_FILE, JSON.stringify(createBatchIndex(entries, shared), null, 2));
+    const failed = entries.filter((entry) => entry.error).length;
+    if (failed) setBatchError(`${failed} of ${entries.length} images failed; see ${BATCH_INDEX_FILE} in the zip.`);
+    downloadBlob(await zip.generateAsync({ type: 'blob' }), 'sliced-batch.zip');
+  };
+
+  const updateSubLevel = (index, patch) => {
+    setSubLevels((prev) => prev.map((level, i) => (i === index ? { ...level, ...patch } : level)));
+  };
+
+  const addSubLevel = () => {
+    setSubLevels((prev) => [...prev, { count: 4, parentIdsText: '' }]);
+  };
+
+  const removeSubLevel = () => {
+    setSubLevels((prev) => prev.slice(0, -1));
+  };
+
+  const playExplode = () => {
+    if (!image || !levelPieces.length) return;
+    cancelAnimationFrame(playRef.current);
+    const ctx = canvasRef.current.getContext('2d');
+    const params = explodeSettings;
+    const motions = computePieceMotions(levelPieces, image, params, sliceSettings.seed);
+    const start = performance.now();
+    setIsPlaying(true);
+
+    const step = (now) => {
+      const t = (now - start) / 1000;
+      if (t > params.duration) {
+        stopExplode();
+        return;
+      }
+      drawExplodeFrame(ctx, levelPieces, motions, t, params);
+      playRef.current = requestAnimationFrame(step);
+    };
+    playRef.current = requestAnimationFrame(step);
+  };
+
+  const stopExplode = () => {
+    cancelAnimationFrame(playRef.current);
+    playRef.current = null;
+    setIsPlaying(false);
+    drawSlicedPreview(levelPieces, voronoiPoints);
+  };
+
+  const downloadExplodeAnimation = async () => {
+    if (!image || !levelPieces.length) return;
+    setExportError('');
+    const params = explodeSettings;
+    const motions = computePieceMotions(levelPieces, image, params, sliceSettings.seed);
+    const { frames, width, height } = renderExplodeFrames(levelPieces, motions, params, {
+      width: image.width,
+      height: image.height,
+      maxSize: 512,
+    });
+
+    if (explodeFormat === 'gif') {
+      const gif = encodeExplodeGif(frames, params.fps, explodeBackground);
+      downloadBlob(new Blob([gif], { type: 'image/gif' }), `${baseExportName}-explode.gif`);
+      return;
+    }
+    if (explodeFormat === 'webm') {
+      try {
+        downloadBlob(await recordExplodeWebm(frames, params.fps, explodeBackground), `${baseExportName}-explode.webm`);
+      } catch (err) {
+        setExportError(err.message);
+      }
+      return;
+    }
+
+    const zip = new JSZip();
+    const folder = zip.folder(`${baseExportName}-explode`);
+    if (explodeFormat === 'flipbook') {
+      const { canvas, columns, rows } = createFlipbookSheet(frames);
+      folder.file(`${baseExportName}-explode-flipbook.png`, await canvasToBlob(canvas, 'image/png'));
+      folder.file(
+        `${baseExportName}-explode-flipbook.json`,
+        JSON.stringify(
+          {
+            image: `${baseExportName}-explode-flipbook.png`,
+            frameWidth: width,
+            frameHeight: height,
+            columns,
+            rows,
+            frameCount: frames.length,
+            fps: params.fps,
+            order: 'left-to-right, top-to-bottom',
+          },
+          null,
+          2
+        )
+      );
+    } else {
+      await Promise.all(
+        frames.map(async (frame, index) => {
+          const padded = String(index).padStart(3, '0');
+          folder.file(`${baseExportName}-explode-${padded}.png`, await canvasToBlob(frame, 'image/png'));
+        })
+      );
+    }
+    downloadBlob(await zip.generateAsync({ type: 'blob' }), `${baseExportName}-explode.zip`);
   };
 
   return (
@@ -269,7 +1244,23 @@ function App() {
               type="file"
               ref={fileInputRef}
               accept="image/png,image/jpeg,image/jpg"
-              onChange={handleImageUpload}
+              multiple
+              onChange={handleImageUpload(false)}
+              style={{ display: 'none' }}
+            />
+            <input
+              type="file"
+              ref={addImagesInputRef}
+              accept="image/png,image/jpeg,image/jpg"
+              multiple
+              onChange={handleImageUpload(true)}
+              style={{ display: 'none' }}
+            />
+            <input
+              type="file"
+              ref={folderInputRef}
+              webkitdirectory=""
+              onChange={handleFolderUpload}
               style={{ display: 'none' }}
             />
             <div
@@ -284,43 +1275,849 @@ function App() {
                 if (e.key === 'Enter' || e.key === ' ') fileInputRef.current?.click();
               }}
             >
-              <div className="dropzone__title">Drag & drop an image here</div>
+              <div className="dropzone__title">Drag & drop images or a folder here</div>
               <div className="dropzone__subtitle">or click to browse (PNG/JPG)</div>
             </div>
+            <label htmlFor="trimSource">
+              <input
+                id="trimSource"
+                type="checkbox"
+                checked={trimSource}
+                onChange={(e) => {
+                  setTrimSource(e.target.checked);
+                  if (activeBatchItem) showBatchItem(activeBatchItem, e.target.checked);
+                }}
+              />
+              Trim transparent borders
+            </label>
+            {image && sourceFrame && (
+              <p className="hint">
+                {sourceFrame.trimmed
+                  ? `Slicing ${image.width}×${image.height}px at (${sourceFrame.offset.x}, ${sourceFrame.offset.y}) ` +
+                    `of the original ${sourceFrame.originalWidth}×${sourceFrame.originalHeight}px image`
+                  : `Slicing the full ${image.width}×${image.height}px image`}
+              </p>
+            )}
+            <div className="actions-row batch-actions">
+              <button className="btn btn-primary" onClick={() => folderInputRef.current?.click()}>
+                📁 Open Folder
+              </button>
+              {batchItems.length > 0 && (
+                <button className="btn btn-primary" onClick={() => addImagesInputRef.current?.click()}>
+                  ➕ Add Images
+                </button>
+              )}
+            </div>
+            {batchItems.length < 2 && batchError && <p className="error-message">{batchError}</p>}
+          </div>
+
+          {batchItems.length > 1 && (
+            <div className="control-group">
+              <label>Queue: {batchItems.length} images</label>
+              <ul className="batch-queue">
+                {batchItems.map((item) => (
+                  <li
+                    key={item.id}
+                    className={`batch-item ${item.id === activeBatchId ? 'batch-item--active' : ''}`}
+                  >
+                    <button
+                      className="batch-item__select"
+                      onClick={() => showBatchItem(item, trimSource)}
+                      title={item.file.name}
+                    >
+                      <img className="batch-item__thumb" src={item.thumbUrl} alt="" />
+                      <span className="batch-item__name">{item.name}</span>
+                      {BATCH_OVERRIDE_FIELDS.some(({ value }) => item.overrides[value] != null) && (
+                        <span className="batch-item__badge" title="Has per-image overrides">✎</span>
+                      )}
+                    </button>
+                    <button
+                      className="batch-item__remove"
+                      onClick={() => removeBatchItem(item.id)}
+                      title="Remove from queue"
+                    >
+                      ×
+                    </button>
+                  </li>
+                ))}
+              </ul>
+              {activeBatchItem && (
+                <div className="batch-overrides">
+                  <p className="hint">Overrides for {activeBatchItem.name} (blank uses the shared setting):</p>
+                  {BATCH_OVERRIDE_FIELDS.map(({ value, label }) => (
+                    <React.Fragment key={value}>
+                      <label htmlFor={`override-${value}`}>{label}</label>
+                      <input
+                        id={`override-${value}`}
+                        className="text-input"
+                        type="number"
+                        min={value === 'numPieces' ? 1 : 0}
+                        placeholder={String(sharedSettings[value])}
+                        value={activeBatchItem.overrides[value] ?? ''}
+                        onChange={(e) => {
+                          const number = parseInt(e.target.value, 10);
+                          updateBatchOverride(
+                            activeBatchItem.id,
+                            value,
+                            Number.isFinite(number) ? (value === 'seed' ? number >>> 0 : Math.max(1, number)) : null
+                          );
+                        }}
+                      />
+                    </React.Fragment>
+                  ))}
+                </div>
+              )}
+              <p className="hint">
+                Every image uses the settings below. Seed edits, manual merges and imported layouts apply to the
+                previewed image only.
+              </p>
+              <div className="actions-row">
+                <button className="btn btn-success" onClick={downloadBatchZip} disabled={Boolean(batchProgress)}>
+                  ⬇️ Export All
+                </button>
+              </div>
+              {batchProgress && (
+                <>
+                  <p className="hint">Exporting {batchProgress.done}/{batchProgress.total}…</p>
+                  <progress className="slice-progress" value={batchProgress.done} max={batchProgress.total} />
+                </>
+              )}
+              {batchError && <p className="error-message">{batchError}</p>}
+            </div>
+          )}
+
+          <div className="control-group">
+            <input
+              type="file"
+              ref={layoutInputRef}
+              accept=".json,.zip,application/json,application/zip"
+              onChange={handleLayoutUpload}
+              style={{ display: 'none' }}
+            />
+            <button
+              className="btn btn-primary"
+              onClick={() => layoutInputRef.current?.click()}
+              title="Restore a layout from an exported zip or -slice-positioner.json"
+            >
+              📂 Import Layout
+            </button>
+            {pendingManifest && !image && (
+              <p className="hint">Layout loaded — drop the matching source image to apply it.</p>
+            )}
+            {importedLayout && <p className="hint">Using imported layout.</p>}
+            {layoutError && <p className="error-message">{layoutError}</p>}
+          </div>
+
+          {image && (
+            <div className="control-group">
+              <label htmlFor="layerKind">Companion Layers</label>
+              <input
+                type="file"
+                ref={layerInputRef}
+                accept="image/png"
+                onChange={(e) => {
+                  const file = e.target.files?.[0];
+                  e.target.value = '';
+                  if (file) addCompanionLayer(file);
+                }}
+                style={{ display: 'none' }}
+              />
+              <div className="actions-row">
+                <select
+                  id="layerKind"
+                  className="text-input"
+                  value={layerKind}
+                  onChange={(e) => setLayerKind(e.target.value)}
+                >
+                  {LAYER_KINDS.map((kind) => (
+                    <option key={kind.value} value={kind.value}>
+                      {kind.label}
+                    </option>
+                  ))}
+                </select>
+                <button className="btn btn-primary" onClick={() => layerInputRef.current?.click()}>
+                  ➕ Add Layer
+                </button>
+              </div>
+              {companionLayers.length > 0 && (
+                <ul className="batch-queue">
+                  {companionLayers.map((layer) => (
+                    <li key={layer.name} className="batch-item">
+                      <span className="batch-item__select">
+                        <span className="batch-item__name">
+                          {LAYER_KINDS.find((kind) => kind.value === layer.name)?.label ?? layer.name}
+                        </span>
+                      </span>
+                      <button
+                        className="batch-item__remove"
+                        onClick={() => removeCompanionLayer(layer.name)}
+                        title={`Remove ${layer.name} layer`}
+                      >
+                        ×
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+              <p className="hint">
+                Maps must match the original image size; each is cut, trimmed and padded exactly like the pieces.
+              </p>
+              {layerError && <p className="error-message">{layerError}</p>}
+            </div>
+          )}
+
+          <div className="control-group">
+            <label htmlFor="snapshotName">Snapshots</label>
+            <div className="actions-row">
+              <input
+                id="snapshotName"
+                type="text"
+                className="text-input seed-input"
+                placeholder="Snapshot name"
+                value={snapshotName}
+                onChange={(e) => setSnapshotName(e.target.value)}
+              />
+              <button className="btn btn-primary" onClick={saveCurrentSnapshot} disabled={!pieces.length}>
+                💾 Save
+              </button>
+            </div>
+            {snapshots.length > 0 && (
+              <ul className="batch-queue snapshot-list">
+                {snapshots.map((snapshot) => (
+                  <li key={snapshot.id} className="batch-item">
+                    <label
+                      className="batch-item__select"
+                      title={`${snapshot.source.name} · ${new Date(snapshot.createdAt).toLocaleString()}`}
+                    >
+                      <input
+                        type="checkbox"
+                        checked={compareIds.includes(snapshot.id)}
+                        onChange={() => toggleCompare(snapshot.id)}
+                      />
+                      <span className="batch-item__name">{snapshot.name}</span>
+                      <span className="batch-item__badge">{snapshot.pieceCount}</span>
+                    </label>
+                    <button className="snapshot-item__restore" onClick={() => restoreSnapshot(snapshot.id)}>
+                      Restore
+                    </button>
+                    <button
+                      className="batch-item__remove"
+                      onClick={() => removeSnapshot(snapshot.id)}
+                      title={`Delete ${snapshot.name}`}
+                    >
+                      ×
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+            {snapshots.length > 1 && <p className="hint">Tick two snapshots to compare their cuts side by side.</p>}
+            {snapshotError && <p className="error-message">{snapshotError}</p>}
           </div>
 
           {image && (
             <>
               <div className="control-group">
-                <label htmlFor="numPieces">
-                  Number of Pieces: <strong>{numPieces}</strong>
+                <label htmlFor="slicerType">Slicer</label>
+                <select
+                  id="slicerType"
+                  className="text-input"
+                  value={slicerType}
+                  onChange={(e) => editSetting(setSlicerType)(e.target.value)}
+                >
+                  {SLICER_TYPES.map(({ value, label }) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+              </div>
+
+              {slicerType === 'grid' && (
+                <div className="control-group">
+                  <label htmlFor="gridColumns">
+                    Columns × Rows: <strong>{slicerParams.grid.columns} × {slicerParams.grid.rows}</strong>
+                  </label>
+                  <input
+                    id="gridColumns"
+                    type="range"
+                    min="1"
+                    max="30"
+                    value={slicerParams.grid.columns}
+                    onChange={(e) => updateSlicerParams('grid', { columns: parseInt(e.target.value) })}
+                    className="slider"
+                  />
+                  <input
+                    id="gridRows"
+                    type="range"
+                    min="1"
+                    max="30"
+                    value={slicerParams.grid.rows}
+                    onChange={(e) => updateSlicerParams('grid', { rows: parseInt(e.target.value) })}
+                    className="slider"
+                  />
+                </div>
+              )}
+
+              {slicerType === 'hex' && (
+                <div className="control-group">
+                  <label htmlFor="hexColumns">
+                    Hexagons Across: <strong>{slicerParams.hex.columns}</strong>
+                  </label>
+                  <input
+                    id="hexColumns"
+                    type="range"
+                    min="1"
+                    max="30"
+                    value={slicerParams.hex.columns}
+                    onChange={(e) => updateSlicerParams('hex', { columns: parseInt(e.target.value) })}
+                    className="slider"
+                  />
+                </div>
+              )}
+
+              {slicerType === 'shatter' && (
+                <div className="control-group">
+                  <label htmlFor="shatterFalloff">
+                    Impact Falloff: <strong>{slicerParams.shatter.falloff.toFixed(1)}</strong>
+                  </label>
+                  <input
+                    id="shatterFalloff"
+                    type="range"
+                    min="1"
+                    max="4"
+                    step="0.1"
+                    value={slicerParams.shatter.falloff}
+                    onChange={(e) => updateSlicerParams('shatter', { falloff: parseFloat(e.target.value) })}
+                    className="slider"
+                  />
+                  <div className="range-labels">
+                    <span>Even</span>
+                    <span>Concentrated</span>
+                  </div>
+                  <p className="hint">Alt-click the preview to set the impact point.</p>
+                </div>
+              )}
+
+              {canEditPoints && (
+                <>
+                  <div className="control-group">
+                    <label htmlFor="numPieces">
+                      Number of Pieces: <strong>{numPieces}</strong>
+                    </label>
+                      <input
+                        id="numPieces"
+                        type="range"
+                        min={MIN_PIECES}
+                        max={MAX_PIECES}
+                        value={numPieces}
+                        onChange={(e) => editSetting(setNumPieces)(parseInt(e.target.value))}
+                        className="slider"
+                      />
+                    <div className="range-labels">
+                      <span>Fewer (Bigger)</span>
+                      <span>More (Smaller)</span>
+                    </div>
+                  </div>
+
+                  <div className="control-group">
+                    <label htmlFor="relaxIterations">
+                      Relaxation Iterations: <strong>{relaxIterations}</strong>
+                    </label>
+                    <input
+                      id="relaxIterations"
+                      type="range"
+                      min="0"
+                      max="10"
+                      value={relaxIterations}
+                      onChange={(e) => editSetting(setRelaxIterations)(parseInt(e.target.value))}
+                      className="slider"
+                    />
+                    <div className="range-labels">
+                      <span>Random</span>
+                      <span>Even</span>
+                    </div>
+                  </div>
+                </>
+              )}
+
+              {slicerType === 'voronoi' && (
+                <div className="control-group">
+                  <label htmlFor="detailStrength">
+                    Content-Aware Strength: <strong>{Math.round(detailStrength * 100)}%</strong>
+                  </label>
+                  <input
+                    id="detailStrength"
+                    type="range"
+                    min="0"
+                    max="1"
+                    step="0.05"
+                    value={detailStrength}
+                    onChange={(e) => editSetting(setDetailStrength)(parseFloat(e.target.value))}
+                    className="slider"
+                  />
+                  <div className="range-labels">
+                    <span>Alpha only</span>
+                    <span>Detail driven</span>
+                  </div>
+                </div>
+              )}
+
+              {((slicerType === 'voronoi' && detailStrength > 0) || snapToEdges) && (
+                <div className="control-group">
+                  <label htmlFor="detailMetric">Detail Metric</label>
+                  <select
+                    id="detailMetric"
+                    className="text-input"
+                    value={detailMetric}
+                    onChange={(e) => editSetting(setDetailMetric)(e.target.value)}
+                  >
+                    {DETAIL_METRICS.map(({ value, label }) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                </div>
+              )}
+
+              <div className="control-group">
+                <label htmlFor="snapToEdges">
+                  <input
+                    id="snapToEdges"
+                    type="checkbox"
+                    checked={snapToEdges}
+                    onChange={(e) => setSnapToEdges(e.target.checked)}
+                  />
+                  Snap cuts to image edges
                 </label>
+              </div>
+
+              <div className="control-group">
+                <label htmlFor="cutStyle">Cut Style</label>
+                <select
+                  id="cutStyle"
+                  className="text-input"
+                  value={cutStyle}
+                  onChange={(e) => setCutStyle(e.target.value)}
+                >
+                  <option value="straight">Straight (Voronoi)</option>
+                  <option value="jigsaw">Jigsaw tabs</option>
+                </select>
+              </div>
+
+              {cutStyle === 'jigsaw' && (
+                <div className="control-group">
+                  <label htmlFor="tabSize">
+                    Tab Size: <strong>{Math.round(tabSize * 100)}%</strong>
+                  </label>
                   <input
-                    id="numPieces"
+                    id="tabSize"
                     type="range"
-                    min="5"
-                    max="300"
-                    value={numPieces}
-                    onChange={(e) => setNumPieces(parseInt(e.target.value))}
+                    min="0.4"
+                    max="1"
+                    step="0.05"
+                    value={tabSize}
+                    onChange={(e) => setTabSize(parseFloat(e.target.value))}
                     className="slider"
                   />
+                </div>
+              )}
+
+              <div className="control-group">
+                <label htmlFor="bleed">
+                  Edge Bleed: <strong>{bleed}px</strong>
+                </label>
+                <input
+                  id="bleed"
+                  type="range"
+                  min="0"
+                  max="8"
+                  value={bleed}
+                  onChange={(e) => setBleed(parseInt(e.target.value, 10))}
+                  className="slider"
+                />
                 <div className="range-labels">
-                  <span>Fewer (Bigger)</span>
-                  <span>More (Smaller)</span>
+                  <span>Exact cut</span>
+                  <span>8px overlap</span>
                 </div>
+                <p className="hint">Grows every piece past its cut so filtered seams don't show gaps.</p>
+              </div>
+
+              <div className="control-group">
+                <label htmlFor="pivotMode">Sprite Pivot</label>
+                <select
+                  id="pivotMode"
+                  className="text-input"
+                  value={pivotMode}
+                  onChange={(e) => setPivotMode(e.target.value)}
+                >
+                  {PIVOT_MODES.map((mode) => (
+                    <option key={mode.value} value={mode.value}>{mode.label}</option>
+                  ))}
+                </select>
+                {pivotMode === 'custom' && (
+                  <div className="actions-row">
+                    {['x', 'y'].map((axis) => (
+                      <React.Fragment key={axis}>
+                        <label htmlFor={`customPivot-${axis}`}>{axis.toUpperCase()}</label>
+                        <input
+                          id={`customPivot-${axis}`}
+                          className="text-input"
+                          type="number"
+                          min="0"
+                          max="1"
+                          step="0.05"
+                          value={customPivot[axis]}
+                          onChange={(e) => {
+                            const value = parseFloat(e.target.value);
+                            if (Number.isFinite(value)) setCustomPivot((prev) => ({ ...prev, [axis]: value }));
+                          }}
+                        />
+                      </React.Fragment>
+                    ))}
+                  </div>
+                )}
+                <p className="hint">
+                  {pivotMode === 'padded'
+                    ? 'Pads each PNG so an opaque pixel sits at its centre, for centre-pivot sprites.'
+                    : 'PNGs stay trimmed tight; each piece\'s pivot is written to the manifest (normalised and in pixels).'}
+                </p>
+              </div>
+
+              <div className="control-group">
+                <label htmlFor="seed">Seed</label>
+                <div className="actions-row">
+                  <input
+                    id="seed"
+                    className="text-input seed-input"
+                    type="number"
+                    min="0"
+                    max="4294967295"
+                    step="1"
+                    value={seed}
+                    onChange={(e) => {
+                      const value = parseInt(e.target.value, 10);
+                      if (Number.isFinite(value)) editSetting(setSeed)(value >>> 0);
+                    }}
+                  />
+                  <button
+                    className="btn btn-primary"
+                    onClick={() => editSetting(setSeed)(randomSeed())}
+                    title="Pick a new random seed"
+                  >
+                    🎲
+                  </button>
+                </div>
+              </div>
+
+              {canEditPoints && (
+                <div className="control-group">
+                  <label htmlFor="editPoints">
+                    <input
+                      id="editPoints"
+                      type="checkbox"
+                      checked={editPoints}
+                      onChange={(e) => {
+                        setEditPoints(e.target.checked);
+                        setHoverId(null);
+                      }}
+                    />
+                    Edit seed points
+                  </label>
+                  {editPoints && (
+                    <p className="hint">
+                      Click to add a seed, drag to move, right-click to delete.
+                    </p>
+                  )}
+                  {manualPoints.length > 0 && (
+                    <div className="actions-row">
+                      <span className="hint">{manualPoints.length} placed</span>
+                      <button className="btn btn-primary" onClick={clearManualPoints}>
+                        Clear placed seeds
+                      </button>
+                    </div>
+                  )}
+                </div>
+              )}
+
+              <div className="control-group">
+                <label htmlFor="minOpaqueArea">
+                  Min Opaque Area: <strong>{minOpaqueArea}px²</strong>
+                </label>
+                <input
+                  id="minOpaqueArea"
+                  type="range"
+                  min="0"
+                  max="5000"
+                  step="25"
+                  value={minOpaqueArea}
+                  onChange={(e) => setMinOpaqueArea(parseInt(e.target.value, 10))}
+                  className="slider"
+                />
+                <label htmlFor="minOpaqueRatio">
+                  Min Opaque Share: <strong>{Math.round(minOpaqueRatio * 100)}%</strong>
+                </label>
+                <input
+                  id="minOpaqueRatio"
+                  type="range"
+                  min="0"
+                  max="0.5"
+                  step="0.01"
+                  value={minOpaqueRatio}
+                  onChange={(e) => setMinOpaqueRatio(parseFloat(e.target.value))}
+                  className="slider"
+                />
+                <label htmlFor="minCellArea">
+                  Min Cell Area: <strong>{minCellArea}px²</strong>
+                </label>
+                <input
+                  id="minCellArea"
+                  type="range"
+                  min="0"
+                  max="20000"
+                  step="100"
+                  value={minCellArea}
+                  onChange={(e) => setMinCellArea(parseInt(e.target.value, 10))}
+                  className="slider"
+                />
+                <p className="hint">
+                  Pieces below these limits merge into their largest neighbour instead of being dropped.
+                </p>
               </div>
 
               <div className="control-group">
+                <label htmlFor="splitIslands">
+                  <input
+                    id="splitIslands"
+                    type="checkbox"
+                    checked={splitIslands}
+                    onChange={(e) => {
+                      setSelectedIds([]);
+                      setSplitIslands(e.target.checked);
+                    }}
+                  />
+                  Split opaque islands
+                </label>
+                {splitIslands && (
+                  <>
+                    <label htmlFor="minIslandArea">
+                      Min Island Area: <strong>{minIslandArea}px</strong>
+                    </label>
+                    <input
+                      id="minIslandArea"
+                      type="range"
+                      min="0"
+                      max="2000"
+                      step="16"
+                      value={minIslandArea}
+                      onChange={(e) => setMinIslandArea(parseInt(e.target.value, 10))}
+                      className="slider"
+                    />
+                    <p className="hint">
+                      A cell covering separate opaque fragments becomes one piece per fragment. Smaller fragments stay
+                      with the nearest one.
+                    </p>
+                  </>
+                )}
+              </div>
+
+              {mergeGroups.length > 0 && (
+                <div className="control-group actions-row">
+                  <span className="hint">{mergeGroups.length} manual merge(s)</span>
+                  <button className="btn btn-primary" onClick={clearMerges}>
+                    Clear Merges
+                  </button>
+                </div>
+              )}
+
+              <div className="control-group actions-row">
                 <button
                   className="btn btn-success"
                   onClick={sliceNow}
                 >
                   ✂️ Slice Image
                 </button>
+                <button className="btn btn-primary" onClick={() => stepHistory(-1)} disabled={!canUndo} title="Undo (Ctrl+Z)">
+                  ↶
+                </button>
+                <button
+                  className="btn btn-primary"
+                  onClick={() => stepHistory(1)}
+                  disabled={!canRedo}
+                  title="Redo (Ctrl+Shift+Z)"
+                >
+                  ↷
+                </button>
               </div>
 
               {pieces.length > 0 && (
                 <>
+                  <div className="control-group">
+                    <label>Re-slice Pieces</label>
+                    {subLevels.map((level, index) => (
+                      <div key={index} className="sub-level">
+                        <label htmlFor={`subLevelCount${index}`}>
+                          Level {index + 1}: <strong>{level.count}</strong> shards per piece
+                        </label>
+                        <input
+                          id={`subLevelCount${index}`}
+                          type="range"
+                          min="2"
+                          max="12"
+                          value={level.count}
+                          onChange={(e) => updateSubLevel(index, { count: parseInt(e.target.value, 10) })}
+                          className="slider"
+                        />
+                        <input
+                          className="text-input"
+                          type="text"
+                          value={level.parentIdsText}
+                          onChange={(e) => updateSubLevel(index, { parentIdsText: e.target.value })}
+                          placeholder={`Piece ids from level ${index} (empty = all)`}
+                        />
+                      </div>
+                    ))}
+                    <div className="actions-row">
+                      <button className="btn btn-primary" onClick={addSubLevel} disabled={subLevels.length >= 3}>
+                        ➕ Add Level
+                      </button>
+                      {subLevels.length > 0 && (
+                        <button className="btn btn-primary" onClick={removeSubLevel}>
+                          ➖ Remove Level
+                        </button>
+                      )}
+                    </div>
+                    {subLevels.length > 0 && (
+                      <>
+                        <label htmlFor="viewLevel">Preview / Export Level</label>
+                        <select
+                          id="viewLevel"
+                          className="text-input"
+                          value={activeLevel}
+                          onChange={(e) =>
+                            setViewLevel(e.target.value === 'leaves' ? 'leaves' : parseInt(e.target.value, 10))
+                          }
+                        >
+                          {[0, ...subLevels.map((_, index) => index + 1)].map((depth) => (
+                            <option key={depth} value={depth}>
+                              Level {depth}
+                            </option>
+                          ))}
+                          <option value="leaves">Leaves (finest piece everywhere)</option>
+                        </select>
+                      </>
+                    )}
+                  </div>
+                  <div className="control-group">
+                    <label>Explode Preview</label>
+                    <div className="actions-row">
+                      <button className="btn btn-primary" onClick={isPlaying ? stopExplode : playExplode}>
+                        {isPlaying ? '⏹ Stop' : '▶️ Play'}
+                      </button>
+                    </div>
+                    <p className="hint">
+                      {slicerType === 'shatter'
+                        ? 'Pieces fly out from the shatter impact point.'
+                        : 'Alt-click the preview to set where the explosion starts.'}
+                    </p>
+                  </div>
+                  <div className="control-group">
+                    <label htmlFor="explodeSpeed">
+                      Explode Speed: <strong>{explodeParams.speed}</strong> px/s
+                    </label>
+                    <input
+                      id="explodeSpeed"
+                      type="range"
+                      min="100"
+                      max="1500"
+                      step="10"
+                      value={explodeParams.speed}
+                      onChange={(e) => setExplodeParams((prev) => ({ ...prev, speed: parseFloat(e.target.value) }))}
+                      className="slider"
+                    />
+                    <div className="range-labels">
+                      <span>Gentle</span>
+                      <span>Violent</span>
+                    </div>
+                    <label htmlFor="explodeSpin">
+                      Spin: <strong>{explodeParams.spin}</strong> °/s
+                    </label>
+                    <input
+                      id="explodeSpin"
+                      type="range"
+                      min="0"
+                      max="720"
+                      step="10"
+                      value={explodeParams.spin}
+                      onChange={(e) => setExplodeParams((prev) => ({ ...prev, spin: parseFloat(e.target.value) }))}
+                      className="slider"
+                    />
+                    <div className="range-labels">
+                      <span>None</span>
+                      <span>Wild</span>
+                    </div>
+                    <label htmlFor="explodeGravity">
+                      Gravity: <strong>{explodeParams.gravity}</strong> px/s²
+                    </label>
+                    <input
+                      id="explodeGravity"
+                      type="range"
+                      min="0"
+                      max="2000"
+                      step="10"
+                      value={explodeParams.gravity}
+                      onChange={(e) => setExplodeParams((prev) => ({ ...prev, gravity: parseFloat(e.target.value) }))}
+                      className="slider"
+                    />
+                    <div className="range-labels">
+                      <span>Float</span>
+                      <span>Heavy</span>
+                    </div>
+                    <label htmlFor="explodeDuration">
+                      Duration: <strong>{explodeParams.duration.toFixed(1)}</strong> s
+                    </label>
+                    <input
+                      id="explodeDuration"
+                      type="range"
+                      min="0.5"
+                      max="4"
+                      step="0.1"
+                      value={explodeParams.duration}
+                      onChange={(e) => setExplodeParams((prev) => ({ ...prev, duration: parseFloat(e.target.value) }))}
+                      className="slider"
+                    />
+                    <div className="range-labels">
+                      <span>0.5s</span>
+                      <span>4s</span>
+                    </div>
+                  </div>
+                  <div className="control-group">
+                    <label htmlFor="explodeFormat">Animation Format</label>
+                    <select
+                      id="explodeFormat"
+                      className="text-input"
+                      value={explodeFormat}
+                      onChange={(e) => setExplodeFormat(e.target.value)}
+                    >
+                      <option value="gif">Animated GIF</option>
+                      {canRecordWebm() && <option value="webm">WebM video</option>}
+                      <option value="flipbook">Flipbook sprite sheet</option>
+                      <option value="frames">PNG frame sequence</option>
+                    </select>
+                    {(explodeFormat === 'gif' || explodeFormat === 'webm') && (
+                      <>
+                        <label htmlFor="explodeBackground">Background</label>
+                        <input
+                          id="explodeBackground"
+                          type="color"
+                          value={explodeBackground}
+                          onChange={(e) => setExplodeBackground(e.target.value)}
+                        />
+                      </>
+                    )}
+                  </div>
+                  <div className="control-group actions-row">
+                    <button className="btn btn-success" onClick={downloadExplodeAnimation}>
+                      🎞️ Export Animation
+                    </button>
+                  </div>
                   <div className="control-group">
                     <label htmlFor="exportName">Export Name</label>
                     <input
@@ -332,8 +2129,236 @@ function App() {
                       placeholder="enter filename"
                     />
                   </div>
+                  <div className="control-group">
+                    <label htmlFor="exportTarget">Export Target</label>
+                    <select
+                      id="exportTarget"
+                      className="text-input"
+                      value={exportTarget}
+                      onChange={(e) => setExportTarget(e.target.value)}
+                    >
+                      {EXPORT_TARGETS.map((t) => (
+                        <option key={t.value} value={t.value}>{t.label}</option>
+                      ))}
+                    </select>
+                    <label htmlFor="exportFormat">Export Format</label>
+                    <select
+                      id="exportFormat"
+                      className="text-input"
+                      value={useAtlasExport ? 'atlas' : exportFormat}
+                      disabled={targetRequiresAtlas(exportTarget)}
+                      onChange={(e) => setExportFormat(e.target.value)}
+                    >
+                      <option value="pngs">Separate PNGs</option>
+                      <option value="atlas">Texture atlas</option>
+                    </select>
+                    {targetRequiresAtlas(exportTarget) && (
+                      <p className="hint">JSON-hash spritesheets always pack pieces into atlas sheets.</p>
+                    )}
+                    <label htmlFor="alphaMode">PNG Alpha</label>
+                    <select
+                      id="alphaMode"
+                      className="text-input"
+                      value={alphaMode}
+                      onChange={(e) => setAlphaMode(e.target.value)}
+                    >
+                      {ALPHA_MODES.map((mode) => (
+                        <option key={mode.value} value={mode.value}>{mode.label}</option>
+                      ))}
+                    </select>
+                    {alphaMode === 'dilated' && (
+                      <>
+                        <label htmlFor="dilatePx">Dilation (px)</label>
+                        <input
+                          id="dilatePx"
+                          type="number"
+                          min="0"
+                          max="64"
+                          className="text-input"
+                          value={dilatePx}
+                          onChange={(e) => setDilatePx(Math.max(0, parseInt(e.target.value, 10) || 0))}
+                        />
+                        {useAtlasExport && (
+                          <p className="hint">Atlas sheets extrude each piece at most its padding past its rect.</p>
+                        )}
+                      </>
+                    )}
+                  </div>
+                  {useAtlasExport && (
+                    <div className="control-group">
+                      <label htmlFor="atlasMaxSize">Atlas Max Size</label>
+                      <select
+                        id="atlasMaxSize"
+                        className="text-input"
+                        value={atlasMaxSize}
+                        onChange={(e) => setAtlasMaxSize(parseInt(e.target.value, 10))}
+                      >
+                        {ATLAS_MAX_SIZES.map((size) => (
+                          <option key={size} value={size}>{size} × {size}</option>
+                        ))}
+                      </select>
+                      <label htmlFor="atlasPadding">Padding (px)</label>
+                      <input
+                        id="atlasPadding"
+                        className="text-input"
+                        type="number"
+                        min="0"
+                        max="64"
+                        value={atlasPadding}
+                        onChange={(e) => setAtlasPadding(Math.max(0, parseInt(e.target.value, 10) || 0))}
+                      />
+                      <label htmlFor="atlasRotation">
+                        <input
+                          id="atlasRotation"
+                          type="checkbox"
+                          checked={atlasRotation}
+                          onChange={(e) => setAtlasRotation(e.target.checked)}
+                        />
+                        Allow rotation
+                      </label>
+                    </div>
+                  )}
+                  <div className="control-group">
+                    <label htmlFor="pixelsPerUnit">Pixels Per Unit</label>
+                    <input
+                      id="pixelsPerUnit"
+                      className="text-input"
+                      type="number"
+                      min="1"
+                      value={pixelsPerUnit}
+                      onChange={(e) => setPixelsPerUnit(Math.max(1, parseFloat(e.target.value) || 1))}
+                    />
+                    {exportTarget === 'unity' && (
+                      <>
+                        <label htmlFor="includeUnityImporter">
+                          <input
+                            id="includeUnityImporter"
+                            type="checkbox"
+                            checked={includeUnityImporter}
+                            onChange={(e) => setIncludeUnityImporter(e.target.checked)}
+                          />
+                          Include Unity importer script
+                        </label>
+                        {includeUnityImporter && (
+                          <select
+                            id="unityTarget"
+                            className="text-input"
+                            value={unityTarget}
+                            onChange={(e) => setUnityTarget(e.target.value)}
+                          >
+                            {UNITY_IMPORT_TARGETS.map((t) => (
+                              <option key={t.value} value={t.value}>{t.label}</option>
+                            ))}
+                          </select>
+                        )}
+                      </>
+                    )}
+                  </div>
+                  <div className="control-group">
+                    <label htmlFor="exportColliders">
+                      <input
+                        id="exportColliders"
+                        type="checkbox"
+                        checked={exportColliders}
+                        onChange={(e) => setExportColliders(e.target.checked)}
+                      />
+                      Export colliders
+                    </label>
+                    {exportColliders && (
+                      <>
+                        <label htmlFor="colliderVertices">
+                          Vertex Budget: {colliderVertices}
+                        </label>
+                        <input
+                          id="colliderVertices"
+                          type="range"
+                          min="4"
+                          max="64"
+                          value={colliderVertices}
+                          onChange={(e) => setColliderVertices(parseInt(e.target.value, 10))}
+                          className="slider"
+                        />
+                        <div className="range-labels">
+                          <span>4</span>
+                          <span>64</span>
+                        </div>
+                        <p className="hint">
+                          Traces each piece's opaque outline. Adds PolygonCollider2D paths to the manifest plus a Godot
+                          .tscn and Box2D JSON.
+                        </p>
+                      </>
+                    )}
+                  </div>
+                  <div className="control-group">
+                    <label htmlFor="exportPrint">
+                      <input
+                        id="exportPrint"
+                        type="checkbox"
+                        checked={exportPrint}
+                        onChange={(e) => setExportPrint(e.target.checked)}
+                      />
+                      Print &amp; cut sheet
+                    </label>
+                    {exportPrint && (
+                      <>
+                        <label htmlFor="printWidth">Puzzle Width (mm)</label>
+                        <input
+                          id="printWidth"
+                          className="text-input"
+                          type="number"
+                          min="10"
+                          value={printParams.widthMm}
+                          onChange={(e) => updatePrintParams({ widthMm: Math.max(10, parseFloat(e.target.value) || 10) })}
+                        />
+                        <label htmlFor="printDpi">DPI</label>
+                        <input
+                          id="printDpi"
+                          className="text-input"
+                          type="number"
+                          min="72"
+                          value={printParams.dpi}
+                          onChange={(e) => updatePrintParams({ dpi: Math.max(72, parseInt(e.target.value, 10) || 72) })}
+                        />
+                        <label htmlFor="printBleed">Bleed (mm)</label>
+                        <input
+                          id="printBleed"
+                          className="text-input"
+                          type="number"
+                          min="0"
+                          step="0.5"
+                          value={printParams.bleedMm}
+                          onChange={(e) => updatePrintParams({ bleedMm: Math.max(0, parseFloat(e.target.value) || 0) })}
+                        />
+                        <label htmlFor="cutFormat">Cut Template</label>
+                        <select
+                          id="cutFormat"
+                          className="text-input"
+                          value={printParams.cutFormat}
+                          onChange={(e) => updatePrintParams({ cutFormat: e.target.value })}
+                        >
+                          {CUT_FORMATS.map((f) => (
+                            <option key={f.value} value={f.value}>{f.label}</option>
+                          ))}
+                        </select>
+                        <label htmlFor="printMarks">
+                          <input
+                            id="printMarks"
+                            type="checkbox"
+                            checked={printParams.marks}
+                            onChange={(e) => updatePrintParams({ marks: e.target.checked })}
+                          />
+                          Registration marks
+                        </label>
+                        <p className="hint">
+                          Adds the artwork at print size and a cut template with every shared edge cut once. Both use
+                          the same sheet layout, so they line up exactly.
+                        </p>
+                      </>
+                    )}
+                  </div>
+                  {exportError && <p className="error-message">{exportError}</p>}
                   <div className="control-group actions-row">
-                    <button className="btn btn-primary" onClick={downloadPiecesZip}>
+                    <button className="btn btn-primary" onClick={() => downloadPiecesZip()}>
                       ⬇️ Export
                     </button>
                   </div>
@@ -344,20 +2369,140 @@ function App() {
         </div>
 
         <div className="preview">
-          <div className="canvas-container">
+          {comparison && (
+            <div className="compare-view">
+              <div className="compare-view__sides">
+                {comparison.map((side) => (
+                  <figure key={side.id} className="compare-view__side">
+                    <img src={side.url} alt={`Cut lines of ${side.name}`} />
+                    <figcaption>
+                      {side.name} — {side.pieceCount} pieces · {side.sourceName}
+                    </figcaption>
+                  </figure>
+                ))}
+              </div>
+              <button className="btn btn-primary" onClick={() => setCompareIds([])}>
+                Close Comparison
+              </button>
+            </div>
+          )}
+          <div className={`canvas-container ${comparison ? 'canvas-container--hidden' : ''}`}>
             {!image && (
               <div className="placeholder">
                 <p>👆 Upload an image to get started!</p>
               </div>
             )}
-            <canvas ref={canvasRef} className="main-canvas"></canvas>
+            <canvas
+              ref={canvasRef}
+              className={`main-canvas ${
+                editPoints && canEditPoints ? 'main-canvas--editing' : pieces.length ? 'main-canvas--selectable' : ''
+              }`}
+              onMouseDown={handleCanvasMouseDown}
+              onMouseMove={handleCanvasMouseMove}
+              onMouseUp={endPointDrag}
+              onMouseLeave={handleCanvasMouseLeave}
+              onContextMenu={handleCanvasContextMenu}
+            ></canvas>
           </div>
+          {pieces.length > 0 && !comparison && !(editPoints && canEditPoints) && (
+            <p className="hint preview-hint">Click a piece to inspect it; shift-click to select several.</p>
+          )}
         </div>
+
+        {inspectedEntry && (
+          <aside className="inspector">
+            <h2 className="inspector__title">Piece {inspectedEntry.id}</h2>
+            <dl className="inspector__fields">
+              <dt>File</dt>
+              <dd>{inspectedEntry.file ?? 'Packed into an atlas sheet on export'}</dd>
+              <dt>boundsPx</dt>
+              <dd>
+                x {formatNumber(inspectedEntry.boundsPx.x)}, y {formatNumber(inspectedEntry.boundsPx.y)} ·{' '}
+                {inspectedEntry.boundsPx.width}×{inspectedEntry.boundsPx.height}
+              </dd>
+              <dt>centerPx</dt>
+              <dd>
+                {formatNumber(inspectedEntry.centerPx.x)}, {formatNumber(inspectedEntry.centerPx.y)}
+              </dd>
+              {sourceFrame?.trimmed && (
+                <>
+                  <dt>Untrimmed centerPx</dt>
+                  <dd>
+                    {formatNumber(inspectedEntry.original.centerPx.x)},{' '}
+                    {formatNumber(inspectedEntry.original.centerPx.y)}
+                  </dd>
+                </>
+              )}
+              <dt>Pivot ({inspectedEntry.pivot.mode})</dt>
+              <dd>
+                {formatNumber(inspectedEntry.pivot.normalized.x)}, {formatNumber(inspectedEntry.pivot.normalized.y)}
+              </dd>
+              <dt>Opaque area</dt>
+              <dd>{getOpaqueArea(inspectedPiece)} px²</dd>
+              <dt>Unity world position</dt>
+              <dd>
+                {formatNumber(inspectedEntry.unityWorldPosition.x)}, {formatNumber(inspectedEntry.unityWorldPosition.y)}
+              </dd>
+              <dt>UGUI anchored position</dt>
+              <dd>
+                {formatNumber(inspectedEntry.uguiAnchoredPositionPx.x)},{' '}
+                {formatNumber(inspectedEntry.uguiAnchoredPositionPx.y)}
+              </dd>
+              {inspectedEntry.depth != null && (
+                <>
+                  <dt>Depth / parent</dt>
+                  <dd>
+                    {inspectedEntry.depth} / {inspectedEntry.parentId ?? '—'}
+                  </dd>
+                </>
+              )}
+              {inspectedEntry.mergedIds && (
+                <>
+                  <dt>Merged ids</dt>
+                  <dd>{inspectedEntry.mergedIds.join(', ')}</dd>
+                </>
+              )}
+            </dl>
+            {selectedPieces.length > 1 && (
+              <p className="hint">
+                {selectedPieces.length} selected: {selectedPieces.map((piece) => piece.id).join(', ')}
+              </p>
+            )}
+            <div className="actions-row inspector__actions">
+              <button className="btn btn-primary" onClick={downloadSelectedPng}>
+                ⬇️ PNG
+              </button>
+              <button
+                className="btn btn-primary"
+                onClick={() => downloadPiecesZip(new Set(selectedPieces.map((piece) => piece.id)))}
+              >
+                ⬇️ Subset Zip
+              </button>
+              {selectedPieces.length > 1 && (!pieceTree || activeLevel === 0) && (
+                <button className="btn btn-primary" onClick={mergeSelectedPieces}>
+                  Merge Selected
+                </button>
+              )}
+            </div>
+            {exportError && <p className="error-message">{exportError}</p>}
+          </aside>
+        )}
       </div>
 
-      {pieces.length > 0 && (
+      {sliceProgress && (
+        <div className="info">
+          <p>Slicing…{sliceProgress.total > 0 && ` ${sliceProgress.done}/${sliceProgress.total}`}</p>
+          <progress className="slice-progress" value={sliceProgress.done} max={sliceProgress.total || 1} />
+        </div>
+      )}
+      {sliceError && <p className="error-message">{sliceError}</p>}
+
+      {!sliceProgress && !sliceError && pieces.length > 0 && (
         <div className="info">
-          <p>✅ Image sliced into {pieces.length} Voronoi pieces!</p>
+          <p>
+            ✅ Image sliced into {levelPieces.length} Voronoi pieces
+            {pieceTree ? (activeLevel === 'leaves' ? ' (leaf pieces)' : ` (level ${activeLevel})`) : ''}!
+          </p>
         </div>
       )}
     </div>
@@ -0,0 +1,209 @@
+export const ALPHA_MODES = [
+  { value: 'straight', label: 'Straight alpha' },
+  { value: 'premultiplied', label: 'Premultiplied alpha' },
+  { value: 'dilated', label: 'Alpha-dilated (edge colours under transparent pixels)' },
+];
+
+/**
+ * Multiply colour by alpha in place, for engines that sample premultiplied textures
+ * @param {Uint8ClampedArray} data - RGBA pixels
+ */
+export function premultiplyAlpha(data) {
+  for (let i = 0; i < data.length; i += 4) {
+    const a = data[i + 3] / 255;
+    data[i] = Math.round(data[i] * a);
+    data[i + 1] = Math.round(data[i + 1] * a);
+    data[i + 2] = Math.round(data[i + 2] * a);
+  }
+}
+
+/**
+ * Extrude edge colours into transparent pixels (alpha untouched) so bilinear filtering
+ * and mipmaps blend towards the piece colour instead of black.
+ * @param {Uint8ClampedArray} data - RGBA pixels
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @param {number} alphaThreshold - Pixels below this alpha take a neighbour's colour
+ * @param {number} [radius] - How many pixels to extrude
+ */
+export function dilateAlpha(data, width, height, alphaThreshold, radius = 16) {
+  const filled = new Uint8Array(width * height);
+  let frontier = [];
+  for (let i = 0; i < width * height; i++) {
+    if (data[i * 4 + 3] >= alphaThreshold) {
+      filled[i] = 1;
+      frontier.push(i);
+    }
+  }
+
+  // Breadth-first rings out from the opaque pixels, one pixel per pass
+  for (let step = 0; step < radius && frontier.length; step++) {
+    const next = [];
+    frontier.forEach((index) => {
+      const x = index % width;
+      const y = (index - x) / width;
+      const neighbours = [
+        x > 0 ? index - 1 : -1,
+        x < width - 1 ? index + 1 : -1,
+        y > 0 ? index - width : -1,
+        y < height - 1 ? index + width : -1,
+      ];
+      neighbours.forEach((n) => {
+        if (n < 0 || filled[n]) return;
+        filled[n] = 1;
+        data[n * 4] = data[index * 4];
+        data[n * 4 + 1] = data[index * 4 + 1];
+        data[n * 4 + 2] = data[index * 4 + 2];
+        next.push(n);
+      });
+    });
+    frontier = next;
+  }
+}
+
+/**
+ * Dilate each piece of a packed atlas sheet on its own, into its rect and its padding band only,
+ * so edge colours never spread into a neighbour's transparent pixels.
+ * @param {Uint8ClampedArray} data - Sheet RGBA pixels
+ * @param {Object} sheet - Sheet from packPieceAtlases ({ width, height, placements })
+ * @param {number} alphaThreshold - Pixels below this alpha take a neighbour's colour
+ * @param {number} radius - How many pixels to extrude, at most padding past the rect
+ * @param {number} padding - Atlas padding around every placement
+ */
+export function dilateAtlasPlacements(data, sheet, alphaThreshold, radius, padding) {
+  const margin = Math.min(radius, padding);
+  sheet.placements.forEach((placement) => {
+    const w = placement.rotated ? placement.height : placement.width;
+    const h = placement.rotated ? placement.width : placement.height;
+    const x0 = Math.max(0, placement.x - margin);
+    const y0 = Math.max(0, placement.y - margin);
+    const x1 = Math.min(sheet.width, placement.x + w + margin);
+    const y1 = Math.min(sheet.height, placement.y + h + margin);
+    const regionW = x1 - x0;
+    const region = new Uint8ClampedArray(regionW * (y1 - y0) * 4);
+    for (let y = y0; y < y1; y++) {
+      region.set(data.subarray((y * sheet.width + x0) * 4, (y * sheet.width + x1) * 4), (y - y0) * regionW * 4);
+    }
+    dilateAlpha(region, regionW, y1 - y0, alphaThreshold, radius);
+    for (let y = y0; y < y1; y++) {
+      data.set(region.subarray((y - y0) * regionW * 4, (y - y0 + 1) * regionW * 4), (y * sheet.width + x0) * 4);
+    }
+  });
+}
+
+let crcTable = null;
+
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, body) {
+  const chunk = new Uint8Array(12 + body.length);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, body.length);
+  for (let i = 0; i < 4; i++) chunk[4 + i] = type.charCodeAt(i);
+  chunk.set(body, 8);
+  view.setUint32(8 + body.length, crc32(chunk.subarray(4, 8 + body.length)));
+  return chunk;
+}
+
+/**
+ * Encode raw RGBA as a PNG without going through a canvas, which would drop
+ * the colour of fully transparent pixels and round premultiplied values.
+ * @param {Uint8ClampedArray} data - RGBA pixels
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @returns {Promise<Uint8Array>} PNG bytes
+ */
+export async function encodeRgbaPng(data, width, height) {
+  // Filter type 0 (none) on every scanline
+  const raw = new Uint8Array((width * 4 + 1) * height);
+  for (let y = 0; y < height; y++) {
+    raw.set(data.subarray(y * width * 4, (y + 1) * width * 4), y * (width * 4 + 1) + 1);
+  }
+  const compressed = new Uint8Array(
+    await new Response(new Blob([raw]).stream().pipeThrough(new CompressionStream('deflate'))).arrayBuffer()
+  );
+
+  const header = new Uint8Array(13);
+  const view = new DataView(header.buffer);
+  view.setUint32(0, width);
+  view.setUint32(4, height);
+  header.set([8, 6, 0, 0, 0], 8); // 8-bit RGBA, no interlace
+
+  const parts = [
+    new Uint8Array([137, 80, 78, 71, 13, 10, 26, 10]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', compressed),
+    pngChunk('IEND', new Uint8Array(0)),
+  ];
+  const png = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  parts.forEach((part) => {
+    png.set(part, offset);
+    offset += part.length;
+  });
+  return png;
+}
+
+/**
+ * Record the print resolution in a PNG (pHYs chunk right after IHDR), so print tools size it correctly
+ * @param {Uint8Array} png - PNG bytes
+ * @param {number} dpi - Dots per inch
+ * @returns {Uint8Array} PNG bytes with the pHYs chunk
+ */
+export function setPngDpi(png, dpi) {
+  const body = new Uint8Array(9);
+  const view = new DataView(body.buffer);
+  const perMetre = Math.round(dpi / 0.0254);
+  view.setUint32(0, perMetre);
+  view.setUint32(4, perMetre);
+  body[8] = 1; // unit: metre
+  const chunk = pngChunk('pHYs', body);
+
+  // Drop any pHYs the encoder already wrote; a PNG may only carry one
+  const pngView = new DataView(png.buffer, png.byteOffset, png.byteLength);
+  const kept = [];
+  for (let offset = 8; offset < png.length; ) {
+    const end = offset + 12 + pngView.getUint32(offset);
+    const type = String.fromCharCode(...png.subarray(offset + 4, offset + 8));
+    if (type !== 'pHYs') kept.push(png.subarray(offset, end));
+    if (type === 'IHDR') kept.push(chunk);
+    offset = end;
+  }
+  const out = new Uint8Array(8 + kept.reduce((sum, part) => sum + part.length, 0));
+  out.set(png.subarray(0, 8), 0);
+  let offset = 8;
+  kept.forEach((part) => {
+    out.set(part, offset);
+    offset += part.length;
+  });
+  return out;
+}
+
+/**
+ * PNG for a canvas in the requested alpha mode
+ * @param {Object} canvas - Piece or atlas canvas
+ * @param {string} alphaMode - 'premultiplied' or 'dilated'
+ * @param {{ alphaThreshold: number, dilatePx: number, atlasSheet: Object, padding: number }} options - Dilation
+ *   settings; an atlas canvas passes its sheet and padding so each piece is dilated on its own
+ * @returns {Promise<Uint8Array>} PNG bytes
+ */
+export function encodeCanvasPng(canvas, alphaMode, { alphaThreshold = 8, dilatePx = 16, atlasSheet = null, padding = 0 } = {}) {
+  const { width, height } = canvas;
+  const { data } = canvas.getContext('2d', { willReadFrequently: true }).getImageData(0, 0, width, height);
+  if (alphaMode === 'premultiplied') premultiplyAlpha(data);
+  if (alphaMode === 'dilated' && atlasSheet) dilateAtlasPlacements(data, atlasSheet, alphaThreshold, dilatePx, padding);
+  else if (alphaMode === 'dilated') dilateAlpha(data, width, height, alphaThreshold, dilatePx);
+  return encodeRgbaPng(data, width, height);
+}
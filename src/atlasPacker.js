@@ -0,0 +1,226 @@
+import { createCanvas } from './voronoiSlicer';
+
+// MaxRects bin packing (best short side fit) for exporting pieces as texture atlases.
+
+// Sheet size limits offered for atlas export
+export const ATLAS_MAX_SIZES = [512, 1024, 2048, 4096, 8192];
+
+function contains(outer, inner) {
+  return (
+    inner.x >= outer.x &&
+    inner.y >= outer.y &&
+    inner.x + inner.width <= outer.x + outer.width &&
+    inner.y + inner.height <= outer.y + outer.height
+  );
+}
+
+class MaxRectsBin {
+  constructor(width, height, allowRotation) {
+    this.width = width;
+    this.height = height;
+    this.allowRotation = allowRotation;
+    this.freeRects = [{ x: 0, y: 0, width, height }];
+  }
+
+  findPosition(width, height) {
+    let best = null;
+    let bestShort = Infinity;
+    let bestLong = Infinity;
+    const tryFit = (w, h, rotated) => {
+      this.freeRects.forEach((free) => {
+        if (w > free.width || h > free.height) return;
+        const leftoverW = free.width - w;
+        const leftoverH = free.height - h;
+        const shortSide = Math.min(leftoverW, leftoverH);
+        const longSide = Math.max(leftoverW, leftoverH);
+        if (shortSide < bestShort || (shortSide === bestShort && longSide < bestLong)) {
+          bestShort = shortSide;
+          bestLong = longSide;
+          best = { x: free.x, y: free.y, width: w, height: h, rotated };
+        }
+      });
+    };
+    tryFit(width, height, false);
+    if (this.allowRotation && width !== height) tryFit(height, width, true);
+    return best;
+  }
+
+  place(rect) {
+    const next = [];
+    this.freeRects.forEach((free) => {
+      const overlaps =
+        rect.x < free.x + free.width &&
+        rect.x + rect.width > free.x &&
+        rect.y < free.y + free.height &&
+        rect.y + rect.height > free.y;
+      if (!overlaps) {
+        next.push(free);
+        return;
+      }
+      // Split the free rect into up to four maximal rects around the placed one.
+      if (rect.x > free.x) {
+        next.push({ x: free.x, y: free.y, width: rect.x - free.x, height: free.height });
+      }
+      if (rect.x + rect.width < free.x + free.width) {
+        next.push({
+          x: rect.x + rect.width,
+          y: free.y,
+          width: free.x + free.width - (rect.x + rect.width),
+          height: free.height,
+        });
+      }
+      if (rect.y > free.y) {
+        next.push({ x: free.x, y: free.y, width: free.width, height: rect.y - free.y });
+      }
+      if (rect.y + rect.height < free.y + free.height) {
+        next.push({
+          x: free.x,
+          y: rect.y + rect.height,
+          width: free.width,
+          height: free.y + free.height - (rect.y + rect.height),
+        });
+      }
+    });
+
+    // Drop free rects fully contained in another one (keeping one of any duplicates).
+    this.freeRects = next.filter(
+      (a, i) => !next.some((b, j) => i !== j && contains(b, a) && (!contains(a, b) || j < i))
+    );
+  }
+}
+
+function packIntoBin(items, width, height, allowRotation) {
+  const bin = new MaxRectsBin(width, height, allowRotation);
+  const placed = [];
+  const rest = [];
+  items.forEach((item) => {
+    const position = bin.findPosition(item.packW, item.packH);
+    if (!position) {
+      rest.push(item);
+      return;
+    }
+    bin.place(position);
+    placed.push({ item, position });
+  });
+  return { placed, rest };
+}
+
+// Candidate power-of-two sheet sizes, smallest area first.
+function candidateSizes(minArea, maxSize) {
+  const sizes = [];
+  for (let w = 1; w <= maxSize; w *= 2) {
+    for (let h = Math.max(1, w / 2); h <= w; h *= 2) {
+      if (w * h >= minArea) sizes.push([w, h]);
+    }
+  }
+  return sizes.sort((a, b) => a[0] * a[1] - b[0] * b[1] || a[0] - b[0]);
+}
+
+/**
+ * Pack rectangles into one or more power-of-two sheets
+ * @param {Array} rects - Array of { id, width, height }
+ * @param {Object} options - { maxSize, padding, allowRotation }
+ * @returns {Array} Sheets: { width, height, placements: [{ id, x, y, width, height, rotated }] }
+ */
+export function packAtlases(rects, options = {}) {
+  const { maxSize = 2048, padding = 2, allowRotation = false } = options;
+
+  // Padding goes around every sprite, so neighbours are 2 × padding apart.
+  let remaining = rects
+    .map((rect) => ({ ...rect, packW: rect.width + padding * 2, packH: rect.height + padding * 2 }))
+    .sort((a, b) => Math.max(b.packW, b.packH) - Math.max(a.packW, a.packH) || b.packW * b.packH - a.packW * a.packH);
+
+  remaining.forEach((item) => {
+    if (item.packW > maxSize || item.packH > maxSize) {
+      throw new Error(
+        `Piece ${item.id} (${item.width}×${item.height}px plus padding) does not fit in a ${maxSize}px atlas`
+      );
+    }
+  });
+
+  const sheets = [];
+  while (remaining.length) {
+    const area = remaining.reduce((sum, item) => sum + item.packW * item.packH, 0);
+    let result = null;
+    let size = [maxSize, maxSize];
+
+    for (const [w, h] of candidateSizes(Math.min(area, maxSize * maxSize), maxSize)) {
+      const attempt = packIntoBin(remaining, w, h, allowRotation);
+      if (!attempt.rest.length) {
+        result = attempt;
+        size = [w, h];
+        break;
+      }
+    }
+    // Nothing holds everything: fill a max-size sheet and carry on with the rest.
+    if (!result) result = packIntoBin(remaining, maxSize, maxSize, allowRotation);
+    if (!result.placed.length) {
+      throw new Error('Atlas packing made no progress; try a larger max size');
+    }
+
+    sheets.push({
+      width: size[0],
+      height: size[1],
+      placements: result.placed.map(({ item, position }) => ({
+        id: item.id,
+        x: position.x + padding,
+        y: position.y + padding,
+        width: item.width,
+        height: item.height,
+        rotated: position.rotated,
+      })),
+    });
+    remaining = result.rest;
+  }
+
+  return sheets;
+}
+
+/**
+ * Draw packed pieces onto one canvas per sheet.
+ * Rotated pieces are stored turned 90° clockwise.
+ * @param {Array} sheets - Output of packAtlases
+ * @param {Map} canvasesById - Piece id -> canvas
+ * @returns {Array} One canvas per sheet
+ */
+export function renderAtlasSheets(sheets, canvasesById) {
+  return sheets.map((sheet) => {
+    const canvas = createCanvas(sheet.width, sheet.height);
+    const ctx = canvas.getContext('2d');
+    sheet.placements.forEach((placement) => {
+      const source = canvasesById.get(placement.id);
+      if (!source) return;
+      if (placement.rotated) {
+        ctx.save();
+        ctx.translate(placement.x + placement.height, placement.y);
+        ctx.rotate(Math.PI / 2);
+        ctx.drawImage(source, 0, 0);
+        ctx.restore();
+      } else {
+        ctx.drawImage(source, placement.x, placement.y);
+      }
+    });
+    return canvas;
+  });
+}
+
+/**
+ * Manifest entry for one placed piece: pixel rect plus normalized UVs (bottom-left origin, as Unity expects)
+ * @param {Object} placement - Placement from packAtlases
+ * @param {Object} sheet - Sheet containing it
+ * @returns {Object} { rectPx, rotated, uv }
+ */
+export function describeAtlasPlacement(placement, sheet) {
+  const w = placement.rotated ? placement.height : placement.width;
+  const h = placement.rotated ? placement.width : placement.height;
+  return {
+    rectPx: { x: placement.x, y: placement.y, width: w, height: h },
+    rotated: placement.rotated,
+    uv: {
+      uMin: placement.x / sheet.width,
+      vMin: 1 - (placement.y + h) / sheet.height,
+      uMax: (placement.x + w) / sheet.width,
+      vMax: 1 - placement.y / sheet.height,
+    },
+  };
+}
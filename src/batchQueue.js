@@ -0,0 +1,155 @@
+import { trimImageToOpaqueBounds } from './voronoiSlicer';
+import { createSourceFrame } from './manifest';
+
+// Settings a single queued image may override; null falls back to the shared value
+export const BATCH_OVERRIDE_FIELDS = [
+  { value: 'numPieces', label: 'Pieces' },
+  { value: 'seed', label: 'Seed' },
+];
+
+export const BATCH_INDEX_FILE = 'nutty-slice-index.json';
+
+export function isImageFile(file) {
+  return Boolean(file?.type && file.type.startsWith('image/'));
+}
+
+let nextItemId = 1;
+
+/**
+ * Queue entry for one source image; thumbUrl is an object URL to revoke on removal
+ * @param {File} file - Image file
+ * @returns {{ id: number, file: File, name: string, thumbUrl: string, overrides: Object, layers: Array }} Queue item,
+ *   where layers lists the attached companion maps as { name, file }
+ */
+export function createBatchItem(file) {
+  return {
+    id: nextItemId++,
+    file,
+    name: file.name ? file.name.replace(/\.[^.]+$/, '') : 'image',
+    thumbUrl: URL.createObjectURL(file),
+    overrides: Object.fromEntries(BATCH_OVERRIDE_FIELDS.map(({ value }) => [value, null])),
+    layers: [],
+  };
+}
+
+function readDirectoryEntries(reader) {
+  return new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+}
+
+async function collectEntryFiles(entry) {
+  if (entry.isFile) {
+    return [await new Promise((resolve, reject) => entry.file(resolve, reject))];
+  }
+  // readEntries hands back directories in batches until it returns an empty one
+  const reader = entry.createReader();
+  const files = [];
+  for (let batch = await readDirectoryEntries(reader); batch.length; batch = await readDirectoryEntries(reader)) {
+    for (const child of batch) files.push(...(await collectEntryFiles(child)));
+  }
+  return files;
+}
+
+/**
+ * Every file in a drop, walking into dropped folders where the browser allows it
+ * @param {DataTransfer} dataTransfer - From the drop event
+ * @returns {Promise<File[]>} Dropped files, folder contents sorted by path
+ */
+export async function collectDroppedFiles(dataTransfer) {
+  const entries = Array.from(dataTransfer?.items || [])
+    .filter((item) => item.kind === 'file')
+    .map((item) => item.webkitGetAsEntry?.());
+  if (!entries.length || entries.some((entry) => !entry)) return Array.from(dataTransfer?.files || []);
+
+  const files = [];
+  for (const entry of entries) {
+    const found = await collectEntryFiles(entry);
+    if (entry.isDirectory) found.sort((a, b) => a.name.localeCompare(b.name));
+    files.push(...found);
+  }
+  return files;
+}
+
+/**
+ * Decode an image file and, unless trimming is off, trim its transparent borders
+ * @param {File} file - Image file
+ * @param {{ alphaThreshold: number, trim: boolean }} options - Alpha below alphaThreshold counts as transparent
+ * @returns {Promise<{ image: HTMLImageElement, frame: Object }>} Source image and its frame from createSourceFrame
+ */
+export function loadSourceImage(file, { alphaThreshold = 8, trim = true } = {}) {
+  const loadImage = (src) =>
+    new Promise((resolve, reject) => {
+      const img = new Image();
+      img.onload = () => resolve(img);
+      img.onerror = () => reject(new Error(`Could not decode ${file.name || 'image'}`));
+      img.src = src;
+    });
+
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = (e) => resolve(e.target.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  })
+    .then(loadImage)
+    .then(async (img) => {
+      const trimmed = trim ? trimImageToOpaqueBounds(img, alphaThreshold) : { needsTrim: false };
+      if (!trimmed.needsTrim) return { image: img, frame: createSourceFrame(img, trim) };
+      return { image: await loadImage(trimmed.canvas.toDataURL()), frame: createSourceFrame(img, trim, trimmed.offset) };
+    });
+}
+
+/**
+ * Shared slicer settings with one queued image's overrides applied
+ * @param {Object} shared - Slicer settings as passed to buildSliceLayout
+ * @param {Object} [overrides] - Queue item overrides (null values are ignored)
+ * @returns {Object} Settings for that image
+ */
+export function resolveBatchSettings(shared, overrides) {
+  if (!overrides) return shared;
+  const applied = Object.entries(overrides).filter(([, value]) => value != null);
+  return applied.length ? { ...shared, ...Object.fromEntries(applied) } : shared;
+}
+
+/**
+ * Folder names for the combined zip: whitespace-free and unique
+ * @param {Array} items - Queue items
+ * @returns {Map<number, string>} Folder name by item id
+ */
+export function assignBatchFolders(items) {
+  const used = new Set();
+  const folders = new Map();
+  items.forEach((item) => {
+    const base = item.name.replace(/\s+/g, '-') || 'image';
+    let name = base;
+    for (let n = 2; used.has(name); n++) name = `${base}-${n}`;
+    used.add(name);
+    folders.set(item.id, name);
+  });
+  return folders;
+}
+
+/**
+ * Top-level index of a combined batch zip
+ * @param {Array} entries - One per image: { folder, sourceFile, overrides, manifest } or { folder, sourceFile, error }
+ * @param {Object} sharedSettings - Slicer settings every image started from
+ * @returns {Object} Index manifest
+ */
+export function createBatchIndex(entries, sharedSettings) {
+  return {
+    imageCount: entries.length,
+    sharedSettings,
+    images: entries.map(({ folder, sourceFile, overrides = {}, manifest, error }) => ({
+      folder,
+      sourceFile,
+      overrides: Object.fromEntries(Object.entries(overrides).filter(([, value]) => value != null)),
+      ...(manifest
+        ? {
+            manifest: `${folder}/${folder}-slice-positioner.json`,
+            width: manifest.source.width,
+            height: manifest.source.height,
+            pieceCount: manifest.pieces.length,
+          }
+        : { error }),
+    })),
+  };
+}
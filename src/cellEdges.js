@@ -0,0 +1,53 @@
+// Helpers for matching the edges two neighbouring cells share, so cut
+// modifications can be applied once and mirrored onto both cells.
+
+export function vertexKey([x, y]) {
+  return `${Math.round(x * 100)},${Math.round(y * 100)}`;
+}
+
+export function edgeKey(a, b) {
+  const ka = vertexKey(a);
+  const kb = vertexKey(b);
+  return ka < kb ? `${ka}|${kb}` : `${kb}|${ka}`;
+}
+
+/**
+ * Drop the repeated closing vertex that d3-delaunay's cellPolygon appends
+ * @param {Array} cell - Array of [x, y] points
+ * @returns {Array} Open ring of [x, y] points
+ */
+export function openRing(cell) {
+  const ring = cell.map(([x, y]) => [x, y]);
+  if (ring.length > 1) {
+    const [fx, fy] = ring[0];
+    const [lx, ly] = ring[ring.length - 1];
+    if (Math.abs(fx - lx) < 1e-9 && Math.abs(fy - ly) < 1e-9) ring.pop();
+  }
+  return ring;
+}
+
+/**
+ * Collect every cell's ring and which cells own each edge
+ * @param {{ cellPolygon: Function }} voronoi - Cell source
+ * @param {number} numCells - Number of cells
+ * @returns {{ rings: Array, edgeOwners: Map<string, Array<number>> }} Rings by cell index and owners by edge key
+ */
+export function collectCellEdges(voronoi, numCells) {
+  const rings = [];
+  const edgeOwners = new Map();
+
+  for (let i = 0; i < numCells; i++) {
+    const cell = voronoi.cellPolygon(i);
+    if (!cell || cell.length < 3) continue;
+    const ring = openRing(cell);
+    rings[i] = ring;
+    ring.forEach((a, k) => {
+      const key = edgeKey(a, ring[(k + 1) % ring.length]);
+      const owners = edgeOwners.get(key) || [];
+      owners.push(i);
+      edgeOwners.set(key, owners);
+    });
+  }
+
+  return { rings, edgeOwners };
+}
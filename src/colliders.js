@@ -0,0 +1,364 @@
+// Collider shapes are kept in piece-local pixels (top-left origin, y down) until converted per engine.
+const BOX2D_MAX_POLYGON_VERTICES = 8;
+
+function signedArea(points) {
+  let area = 0;
+  for (let i = 0; i < points.length; i++) {
+    const [x1, y1] = points[i];
+    const [x2, y2] = points[(i + 1) % points.length];
+    area += x1 * y2 - x2 * y1;
+  }
+  return area / 2;
+}
+
+function cross(o, a, b) {
+  return (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+}
+
+/**
+ * Trace the outer boundaries of opaque regions along pixel edges.
+ * Outer loops come back with positive signed area (clockwise on screen); holes are dropped.
+ * @param {Object} canvas - Piece canvas
+ * @param {number} alphaThreshold - Minimum alpha treated as opaque
+ * @param {number} [minArea] - Ignore islands smaller than this many pixels
+ * @returns {Array} Array of outlines, each an array of [x, y] corners
+ */
+export function traceOpaqueOutlines(canvas, alphaThreshold, minArea = 4) {
+  const { width, height } = canvas;
+  const data = canvas.getContext('2d', { willReadFrequently: true }).getImageData(0, 0, width, height).data;
+  const filled = (x, y) => x >= 0 && y >= 0 && x < width && y < height && data[(y * width + x) * 4 + 3] >= alphaThreshold;
+
+  // Directed boundary edges with the opaque pixel on their right-hand side.
+  const stride = width + 1;
+  const outgoing = new Map();
+  const addEdge = (x1, y1, x2, y2) => {
+    const key = y1 * stride + x1;
+    const list = outgoing.get(key) || [];
+    list.push({ from: [x1, y1], to: [x2, y2], used: false });
+    outgoing.set(key, list);
+  };
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (!filled(x, y)) continue;
+      if (!filled(x, y - 1)) addEdge(x, y, x + 1, y);
+      if (!filled(x + 1, y)) addEdge(x + 1, y, x + 1, y + 1);
+      if (!filled(x, y + 1)) addEdge(x + 1, y + 1, x, y + 1);
+      if (!filled(x - 1, y)) addEdge(x, y + 1, x, y);
+    }
+  }
+
+  const outlines = [];
+  outgoing.forEach((edges) => {
+    edges.forEach((startEdge) => {
+      if (startEdge.used) return;
+      const loop = [];
+      let edge = startEdge;
+      while (edge && !edge.used) {
+        edge.used = true;
+        loop.push(edge.from);
+        const dx = edge.to[0] - edge.from[0];
+        const dy = edge.to[1] - edge.from[1];
+        const candidates = (outgoing.get(edge.to[1] * stride + edge.to[0]) || []).filter((e) => !e.used);
+        // At diagonal saddles prefer the right turn so 4-connected islands stay separate.
+        edge = candidates.sort((a, b) => {
+          const turn = (e) => {
+            const ex = e.to[0] - e.from[0];
+            const ey = e.to[1] - e.from[1];
+            const c = dx * ey - dy * ex;
+            return c > 0 ? 0 : c === 0 ? 1 : 2;
+          };
+          return turn(a) - turn(b);
+        })[0];
+      }
+      const area = signedArea(loop);
+      if (area >= minArea) outlines.push(removeCollinear(loop));
+    });
+  });
+
+  return outlines.sort((a, b) => signedArea(b) - signedArea(a));
+}
+
+function removeCollinear(points) {
+  return points.filter((p, i) => {
+    const prev = points[(i - 1 + points.length) % points.length];
+    const next = points[(i + 1) % points.length];
+    return cross(prev, p, next) !== 0;
+  });
+}
+
+function distanceToSegment([px, py], [ax, ay], [bx, by]) {
+  const dx = bx - ax;
+  const dy = by - ay;
+  const len2 = dx * dx + dy * dy;
+  const t = len2 ? Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / len2)) : 0;
+  return Math.hypot(px - (ax + t * dx), py - (ay + t * dy));
+}
+
+function douglasPeucker(points, tolerance) {
+  if (points.length < 3) return points;
+  let maxDist = 0;
+  let index = 0;
+  const last = points.length - 1;
+  for (let i = 1; i < last; i++) {
+    const d = distanceToSegment(points[i], points[0], points[last]);
+    if (d > maxDist) {
+      maxDist = d;
+      index = i;
+    }
+  }
+  if (maxDist <= tolerance) return [points[0], points[last]];
+  const left = douglasPeucker(points.slice(0, index + 1), tolerance);
+  const right = douglasPeucker(points.slice(index), tolerance);
+  return [...left.slice(0, -1), ...right];
+}
+
+/**
+ * Simplify a closed outline to at most maxVertices points
+ * (Douglas-Peucker to drop pixel stairs, then Visvalingam to hit the budget).
+ * @param {Array} outline - Array of [x, y]
+ * @param {number} maxVertices - Vertex budget (>= 3)
+ * @returns {Array} Simplified outline
+ */
+export function simplifyOutline(outline, maxVertices) {
+  if (outline.length <= 3) return outline;
+
+  // Split the ring at its first vertex and the vertex farthest from it.
+  let far = 0;
+  let farDist = -1;
+  outline.forEach((p, i) => {
+    const d = Math.hypot(p[0] - outline[0][0], p[1] - outline[0][1]);
+    if (d > farDist) {
+      farDist = d;
+      far = i;
+    }
+  });
+  const first = douglasPeucker(outline.slice(0, far + 1), 0.75);
+  const second = douglasPeucker([...outline.slice(far), outline[0]], 0.75);
+  let points = [...first.slice(0, -1), ...second.slice(0, -1)];
+
+  const budget = Math.max(3, maxVertices);
+  while (points.length > budget) {
+    let smallest = Infinity;
+    let index = 0;
+    points.forEach((p, i) => {
+      const prev = points[(i - 1 + points.length) % points.length];
+      const next = points[(i + 1) % points.length];
+      const area = Math.abs(cross(prev, p, next));
+      if (area < smallest) {
+        smallest = area;
+        index = i;
+      }
+    });
+    points = points.filter((_, i) => i !== index);
+  }
+  return points;
+}
+
+function isConvex(points) {
+  for (let i = 0; i < points.length; i++) {
+    const a = points[i];
+    const b = points[(i + 1) % points.length];
+    const c = points[(i + 2) % points.length];
+    if (cross(a, b, c) < -1e-9) return false;
+  }
+  return true;
+}
+
+function pointInTriangle(p, a, b, c) {
+  return cross(a, b, p) >= 0 && cross(b, c, p) >= 0 && cross(c, a, p) >= 0;
+}
+
+function convexHull(points) {
+  const sorted = [...points].sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+  const lower = [];
+  sorted.forEach((p) => {
+    while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], p) <= 0) lower.pop();
+    lower.push(p);
+  });
+  const upper = [];
+  [...sorted].reverse().forEach((p) => {
+    while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], p) <= 0) upper.pop();
+    upper.push(p);
+  });
+  // Positive-area orientation to match traced outlines.
+  const hull = [...lower.slice(0, -1), ...upper.slice(0, -1)];
+  return signedArea(hull) < 0 ? hull.reverse() : hull;
+}
+
+function triangulate(points) {
+  const indices = points.map((_, i) => i);
+  const triangles = [];
+  let guard = 0;
+  while (indices.length > 3 && guard++ < points.length * points.length) {
+    let clipped = false;
+    for (let k = 0; k < indices.length; k++) {
+      const ia = indices[(k - 1 + indices.length) % indices.length];
+      const ib = indices[k];
+      const ic = indices[(k + 1) % indices.length];
+      const [a, b, c] = [points[ia], points[ib], points[ic]];
+      if (cross(a, b, c) <= 0) continue;
+      const blocked = indices.some(
+        (j) => j !== ia && j !== ib && j !== ic && pointInTriangle(points[j], a, b, c)
+      );
+      if (blocked) continue;
+      triangles.push([ia, ib, ic]);
+      indices.splice(k, 1);
+      clipped = true;
+      break;
+    }
+    if (!clipped) return null;
+  }
+  if (indices.length === 3) triangles.push([...indices]);
+  return triangles;
+}
+
+function tryMerge(p, q, points, maxVertices) {
+  for (let i = 0; i < p.length; i++) {
+    const a = p[i];
+    const b = p[(i + 1) % p.length];
+    for (let j = 0; j < q.length; j++) {
+      if (q[j] !== b || q[(j + 1) % q.length] !== a) continue;
+      // Walk p from b round to a, then q from a round to b (skipping the shared edge).
+      const merged = [];
+      for (let k = 0; k < p.length; k++) merged.push(p[(i + 1 + k) % p.length]);
+      for (let k = 2; k < q.length; k++) merged.push(q[(j + k) % q.length]);
+      if (merged.length > maxVertices) return null;
+      return isConvex(merged.map((idx) => points[idx])) ? merged : null;
+    }
+  }
+  return null;
+}
+
+/**
+ * Split a simple outline into convex parts of at most maxVertices (Hertel-Mehlhorn style merge of an ear-clip triangulation)
+ * @param {Array} outline - Positive-area array of [x, y]
+ * @param {number} [maxVertices] - Max vertices per part (Box2D allows 8)
+ * @returns {Array} Array of convex polygons
+ */
+export function decomposeConvex(outline, maxVertices = BOX2D_MAX_POLYGON_VERTICES) {
+  if (outline.length < 3) return [];
+  if (outline.length <= maxVertices && isConvex(outline)) return [outline];
+
+  const triangles = triangulate(outline);
+  if (!triangles) {
+    // Self-intersecting after simplification: fall back to the hull.
+    return [simplifyOutline(convexHull(outline), maxVertices)];
+  }
+
+  let parts = triangles;
+  let merged = true;
+  while (merged) {
+    merged = false;
+    for (let i = 0; i < parts.length && !merged; i++) {
+      for (let j = i + 1; j < parts.length && !merged; j++) {
+        const result = tryMerge(parts[i], parts[j], outline, maxVertices);
+        if (result) {
+          parts = [...parts.slice(0, i), result, ...parts.slice(i + 1, j), ...parts.slice(j + 1)];
+          merged = true;
+        }
+      }
+    }
+  }
+  return parts.map((part) => part.map((idx) => outline[idx]));
+}
+
+/**
+ * Build the collider for one piece: traced outlines plus their convex decomposition
+ * @param {Object} piece - Piece from sliceImageIntoVoronoiPieces
+ * @param {Object} options - { alphaThreshold, maxVertices }
+ * @returns {{ outlinesLocalPx: Array, convexPartsLocalPx: Array }} Collider shapes in piece-local pixels
+ */
+export function buildPieceCollider(piece, { alphaThreshold = 8, maxVertices = 24 } = {}) {
+  const outlines = traceOpaqueOutlines(piece.canvas, alphaThreshold).map((outline) =>
+    simplifyOutline(outline, maxVertices)
+  );
+  return {
+    outlinesLocalPx: outlines,
+    convexPartsLocalPx: outlines.flatMap((outline) => decomposeConvex(outline)),
+  };
+}
+
+const round = (value) => Math.round(value * 10000) / 10000;
+
+/**
+ * Unity PolygonCollider2D paths in sprite units, relative to the sprite pivot (y up)
+ * @param {Object} collider - From buildPieceCollider
+ * @param {{ x: number, y: number }} pivotPx - Pivot in piece-local pixels (top-left origin)
+ * @param {number} pixelsPerUnit - Unity pixels per unit
+ */
+export function toUnityColliderPaths(collider, pivotPx, pixelsPerUnit) {
+  return collider.outlinesLocalPx.map((outline) =>
+    outline.map(([x, y]) => [round((x - pivotPx.x) / pixelsPerUnit), round((pivotPx.y - y) / pixelsPerUnit)])
+  );
+}
+
+/**
+ * Godot CollisionPolygon2D points: pixels relative to a centred Sprite2D (y down)
+ */
+export function toGodotPolygons(collider, width, height) {
+  return collider.convexPartsLocalPx.map((part) => part.map(([x, y]) => [round(x - width / 2), round(y - height / 2)]));
+}
+
+/**
+ * Box2D polygon fixtures in metres around the body origin at the piece centre (y up, counter-clockwise)
+ */
+export function toBox2dFixtures(collider, width, height, pixelsPerMeter) {
+  return collider.convexPartsLocalPx.map((part) => {
+    const vertices = part.map(([x, y]) => [round((x - width / 2) / pixelsPerMeter), round((height / 2 - y) / pixelsPerMeter)]);
+    // Flipping y turns the parts' screen winding clockwise; Box2D needs positive (counter-clockwise) area
+    return { shape: 'polygon', vertices: signedArea(vertices) < 0 ? vertices.reverse() : vertices };
+  });
+}
+
+function formatPackedVector2Array(points) {
+  return `PackedVector2Array(${points.map(([x, y]) => `${x}, ${y}`).join(', ')})`;
+}
+
+/**
+ * Godot 4 scene: one RigidBody2D per piece (placed image-centred, y down) with CollisionPolygon2D children
+ * @param {Object} manifest - Completed manifest (entries carry `collider`)
+ * @returns {string} .tscn text
+ */
+export function buildGodotColliderScene(manifest) {
+  const lines = ['[gd_scene format=3]', '', '[node name="Colliders" type="Node2D"]', ''];
+  const { width: srcW, height: srcH } = manifest.source;
+  manifest.pieces.forEach((piece) => {
+    if (!piece.collider) return;
+    const name = `piece_${piece.id}`;
+    lines.push(`[node name="${name}" type="RigidBody2D" parent="."]`);
+    lines.push(`position = Vector2(${round(piece.centerPx.x - srcW / 2)}, ${round(piece.centerPx.y - srcH / 2)})`);
+    lines.push('');
+    const { width, height } = piece.boundsPx;
+    toGodotPolygons(piece.collider, width, height).forEach((polygon, index) => {
+      lines.push(`[node name="CollisionPolygon2D${index}" type="CollisionPolygon2D" parent="${name}"]`);
+      lines.push(`polygon = ${formatPackedVector2Array(polygon)}`);
+      lines.push('');
+    });
+  });
+  return lines.join('\n');
+}
+
+/**
+ * Generic Box2D JSON: bodies positioned image-centred in metres (y up) with convex polygon fixtures
+ * @param {Object} manifest - Completed manifest (entries carry `collider`)
+ * @returns {Object} Box2D scene description
+ */
+export function buildBox2dScene(manifest) {
+  const { width: srcW, height: srcH } = manifest.source;
+  const ppm = manifest.unity.pixelsPerUnit;
+  return {
+    pixelsPerMeter: ppm,
+    coordinateSystem: { origin: 'image-center', x: 'right', y: 'up', units: 'meters' },
+    maxPolygonVertices: BOX2D_MAX_POLYGON_VERTICES,
+    bodies: manifest.pieces
+      .filter((piece) => piece.collider)
+      .map((piece) => ({
+        id: piece.id,
+        file: piece.file,
+        type: 'dynamic',
+        position: [round((piece.centerPx.x - srcW / 2) / ppm), round((srcH / 2 - piece.centerPx.y) / ppm)],
+        fixtures: toBox2dFixtures(piece.collider, piece.boundsPx.width, piece.boundsPx.height, ppm),
+      })),
+  };
+}
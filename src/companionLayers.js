@@ -0,0 +1,46 @@
+import { createCanvas } from './voronoiSlicer';
+
+export const LAYER_KINDS = [
+  { value: 'normal', label: 'Normal map' },
+  { value: 'emission', label: 'Emission' },
+  { value: 'mask', label: 'Mask' },
+];
+
+/**
+ * Crop a companion map to the sliced source, so it lines up with the (possibly trimmed) albedo
+ * @param {Object} image - Decoded companion map, the size of the original source image
+ * @param {Object} frame - Source frame from createSourceFrame
+ * @param {{ width: number, height: number }} size - Size of the sliced source
+ * @param {string} [label] - Name used in the size-mismatch error
+ * @returns {Object} Canvas the size of the sliced source
+ */
+export function cropCompanionLayer(image, frame, { width, height }, label = 'Layer') {
+  if (image.width !== frame.originalWidth || image.height !== frame.originalHeight) {
+    throw new Error(
+      `${label} is ${image.width}×${image.height}px but the source image is ${frame.originalWidth}×${frame.originalHeight}px`
+    );
+  }
+  const canvas = createCanvas(width, height);
+  canvas.getContext('2d').drawImage(image, -frame.offset.x, -frame.offset.y);
+  return canvas;
+}
+
+/**
+ * Decode a queue item's companion maps and crop each to the sliced source
+ * @param {Array} layers - { name, file } as kept on a batch item
+ * @param {Object} frame - Source frame from createSourceFrame
+ * @param {{ width: number, height: number }} size - Size of the sliced source
+ * @returns {Promise<Array>} { name, image } per layer, in the same order, as sliceImageIntoVoronoiPieces takes them
+ */
+export function loadCompanionLayers(layers, frame, size) {
+  return Promise.all(
+    layers.map(async ({ name, file }) => {
+      const bitmap = await createImageBitmap(file);
+      try {
+        return { name, image: cropCompanionLayer(bitmap, frame, size, file.name || name) };
+      } finally {
+        bitmap.close();
+      }
+    })
+  );
+}
@@ -0,0 +1,191 @@
+import { vertexKey, edgeKey, collectCellEdges } from './cellEdges';
+
+export const DETAIL_METRICS = [
+  { value: 'edges', label: 'Edge magnitude' },
+  { value: 'variance', label: 'Colour variance' },
+];
+
+function luminanceAt(data, idx) {
+  return 0.299 * data[idx] + 0.587 * data[idx + 1] + 0.114 * data[idx + 2];
+}
+
+/**
+ * Compute a per-pixel detail map (0..1) from RGBA pixels.
+ * Transparent pixels have no detail, so seeds stay on the sprite.
+ * @param {ImageData} imageData - Source pixels
+ * @param {string} metric - 'edges' (Sobel on luminance) or 'variance' (3×3 colour variance)
+ * @param {number} [alphaThreshold] - Minimum alpha treated as opaque
+ * @returns {{ width: number, height: number, data: Float32Array }} Normalized detail map
+ */
+export function computeDetailMap(imageData, metric = 'edges', alphaThreshold = 8) {
+  const { width, height, data } = imageData;
+  const out = new Float32Array(width * height);
+  let max = 0;
+
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      if (data[i * 4 + 3] < alphaThreshold) continue;
+
+      let value;
+      if (metric === 'variance') {
+        let sum = 0;
+        let sumSq = 0;
+        for (let dy = -1; dy <= 1; dy++) {
+          for (let dx = -1; dx <= 1; dx++) {
+            const idx = ((y + dy) * width + (x + dx)) * 4;
+            for (let c = 0; c < 3; c++) {
+              sum += data[idx + c];
+              sumSq += data[idx + c] * data[idx + c];
+            }
+          }
+        }
+        const mean = sum / 27;
+        value = Math.sqrt(Math.max(0, sumSq / 27 - mean * mean));
+      } else {
+        const l = (dx, dy) => luminanceAt(data, ((y + dy) * width + (x + dx)) * 4);
+        const gx = -l(-1, -1) - 2 * l(-1, 0) - l(-1, 1) + l(1, -1) + 2 * l(1, 0) + l(1, 1);
+        const gy = -l(-1, -1) - 2 * l(0, -1) - l(1, -1) + l(-1, 1) + 2 * l(0, 1) + l(1, 1);
+        value = Math.hypot(gx, gy);
+      }
+
+      out[i] = value;
+      if (value > max) max = value;
+    }
+  }
+
+  if (max > 0) {
+    for (let i = 0; i < out.length; i++) out[i] /= max;
+  }
+  return { width, height, data: out };
+}
+
+function detailAt(detailMap, x, y) {
+  const ix = Math.max(0, Math.min(detailMap.width - 1, Math.floor(x)));
+  const iy = Math.max(0, Math.min(detailMap.height - 1, Math.floor(y)));
+  return detailMap.data[iy * detailMap.width + ix];
+}
+
+/**
+ * Generate seeds denser in detailed areas, blended with alpha-only placement.
+ * @param {ImageData} imageData - Source pixels (alpha mask)
+ * @param {Object} detailMap - Result of computeDetailMap
+ * @param {number} numPoints - Number of seeds
+ * @param {number} strength - 0 = alpha-only, 1 = fully detail-driven
+ * @param {() => number} random - PRNG returning floats in [0, 1)
+ * @param {number} [alphaThreshold] - Minimum alpha treated as opaque
+ * @returns {Array} Array of [x, y] points
+ */
+export function generateContentAwarePoints(imageData, detailMap, numPoints, strength, random, alphaThreshold = 8) {
+  const { width, height, data } = imageData;
+  const isOpaque = (x, y) => data[(Math.floor(y) * width + Math.floor(x)) * 4 + 3] >= alphaThreshold;
+  const points = [];
+
+  for (let i = 0; i < numPoints; i++) {
+    let fallback = null;
+    let point = null;
+    for (let t = 0; t < 500 && !point; t++) {
+      const x = random() * width;
+      const y = random() * height;
+      if (!isOpaque(x, y)) continue;
+      if (!fallback) fallback = [x, y];
+      // A small floor keeps flat regions from being left without any pieces.
+      const acceptance = (1 - strength) + strength * (0.05 + 0.95 * detailAt(detailMap, x, y));
+      if (random() < acceptance) point = [x, y];
+    }
+    points.push(point || fallback || [random() * width, random() * height]);
+  }
+
+  return points;
+}
+
+function snapPoint([x, y], detailMap, radius, minDetail, bounds) {
+  const onLeft = Math.abs(x - bounds.minX) < 1e-6;
+  const onRight = Math.abs(x - bounds.maxX) < 1e-6;
+  const onTop = Math.abs(y - bounds.minY) < 1e-6;
+  const onBottom = Math.abs(y - bounds.maxY) < 1e-6;
+  // Corners stay put; border points may only slide along their border.
+  if ((onLeft || onRight) && (onTop || onBottom)) return [x, y];
+
+  let best = [x, y];
+  let bestScore = minDetail;
+  const r = Math.ceil(radius);
+  for (let dy = -r; dy <= r; dy++) {
+    for (let dx = -r; dx <= r; dx++) {
+      if (dx * dx + dy * dy > radius * radius) continue;
+      const nx = onLeft || onRight ? x : x + dx;
+      const ny = onTop || onBottom ? y : y + dy;
+      if (nx < bounds.minX || nx > bounds.maxX || ny < bounds.minY || ny > bounds.maxY) continue;
+      // Prefer strong edges, then closeness to the original point.
+      const score = detailAt(detailMap, nx, ny) - Math.hypot(dx, dy) / (radius * 50);
+      if (score > bestScore) {
+        bestScore = score;
+        best = [nx, ny];
+      }
+    }
+  }
+  return best;
+}
+
+/**
+ * Wrap a cell source so shared borders bend onto nearby strong image edges.
+ * Interior edges are subdivided and every shared point is snapped once, so the pieces still tile.
+ * @param {{ cellPolygon: Function }} voronoi - Cell source
+ * @param {number} numCells - Number of cells
+ * @param {Object} detailMap - Result of computeDetailMap
+ * @param {Object} options - { width, height, radius, spacing, minDetail }
+ * @returns {{ cellPolygon: Function, numCells: number }} Cell source for sliceImageIntoVoronoiPieces
+ */
+export function createEdgeSnappedCells(voronoi, numCells, detailMap, options) {
+  const { width, height, radius = 6, spacing = radius * 2, minDetail = 0.2 } = options;
+  const bounds = { minX: 0, minY: 0, maxX: width, maxY: height };
+  const { rings, edgeOwners } = collectCellEdges(voronoi, numCells);
+
+  const snappedVertices = new Map();
+  const snapVertex = (p) => {
+    const key = vertexKey(p);
+    if (!snappedVertices.has(key)) {
+      snappedVertices.set(key, snapPoint(p, detailMap, radius, minDetail, bounds));
+    }
+    return snappedVertices.get(key);
+  };
+
+  // Intermediate points for each shared edge, in the orientation first seen.
+  const edgeInteriors = new Map();
+  const getEdgeInterior = (key, a, b) => {
+    let edge = edgeInteriors.get(key);
+    if (!edge) {
+      const length = Math.hypot(b[0] - a[0], b[1] - a[1]);
+      const steps = Math.floor(length / spacing);
+      const interior = [];
+      for (let s = 1; s < steps; s++) {
+        const t = s / steps;
+        interior.push(snapPoint([a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t], detailMap, radius, minDetail, bounds));
+      }
+      edge = { startKey: vertexKey(a), interior };
+      edgeInteriors.set(key, edge);
+    }
+    return edge.startKey === vertexKey(a) ? edge.interior : [...edge.interior].reverse();
+  };
+
+  const polygons = [];
+  rings.forEach((ring, i) => {
+    if (!ring) return;
+    const polygon = [];
+    ring.forEach((a, k) => {
+      const b = ring[(k + 1) % ring.length];
+      polygon.push(snapVertex(a));
+      const key = edgeKey(a, b);
+      if (edgeOwners.get(key).length === 2) {
+        polygon.push(...getEdgeInterior(key, a, b));
+      }
+    });
+    polygon.push(polygon[0]);
+    polygons[i] = polygon;
+  });
+
+  return {
+    numCells,
+    cellPolygon: (i) => polygons[i] || null,
+  };
+}
@@ -0,0 +1,252 @@
+export const EXPORT_TARGETS = [
+  { value: 'unity', label: 'Unity / UGUI' },
+  { value: 'godot', label: 'Godot 4 (.tscn)' },
+  { value: 'phaser', label: 'Phaser / PixiJS (JSON hash)' },
+  { value: 'spine', label: 'Spine skeleton' },
+];
+
+const round = (value) => Math.round(value * 1000) / 1000;
+const frameName = (piece) => `piece_${piece.id}`;
+
+/**
+ * Error message for target / format combinations a preset cannot express, or '' when fine
+ * @param {string} target - Export target value
+ * @param {{ useAtlas: boolean, allowRotation: boolean, unityImporter: boolean }} format - Export format in use,
+ *   unityImporter when the Unity importer script is bundled
+ * @returns {string} Error message
+ */
+export function getExportTargetError(target, { useAtlas, allowRotation, unityImporter = false }) {
+  if (target === 'spine' && useAtlas && allowRotation) {
+    return 'Spine atlas export does not support rotated pieces; turn off atlas rotation.';
+  }
+  if (unityImporter && useAtlas && allowRotation) {
+    return 'The Unity importer cannot place rotated atlas pieces; turn off atlas rotation.';
+  }
+  return '';
+}
+
+/**
+ * Presets that can only read packed sheets
+ */
+export function targetRequiresAtlas(target) {
+  return target === 'phaser';
+}
+
+// Godot: image-centred, y down, Sprite2D centred on its texture
+function godotPosition(piece, manifest) {
+  return [round(piece.centerPx.x - manifest.source.width / 2), round(piece.centerPx.y - manifest.source.height / 2)];
+}
+
+// Spine: image-centred, y up, region attachments centred on their bone
+function spinePosition(piece, manifest) {
+  return [round(piece.centerPx.x - manifest.source.width / 2), round(manifest.source.height / 2 - piece.centerPx.y)];
+}
+
+/**
+ * Godot 4 scene with one Sprite2D per piece (AtlasTexture regions when exporting atlas sheets)
+ * @param {Object} manifest - Completed manifest
+ * @returns {string} .tscn text
+ */
+export function buildGodotSpriteScene(manifest) {
+  const textures = [];
+  const textureIds = new Map();
+  const textureId = (file) => {
+    if (!textureIds.has(file)) {
+      textureIds.set(file, `${textureIds.size + 1}_tex`);
+      textures.push(`[ext_resource type="Texture2D" path="${file}" id="${textureIds.get(file)}"]`);
+    }
+    return textureIds.get(file);
+  };
+
+  const subResources = [];
+  const nodes = [];
+  manifest.pieces.forEach((piece) => {
+    const [x, y] = godotPosition(piece, manifest);
+    const lines = [`[node name="${frameName(piece)}" type="Sprite2D" parent="."]`, `position = Vector2(${x}, ${y})`];
+    if (piece.atlas) {
+      const { x: rx, y: ry, width, height } = piece.atlas.rectPx;
+      const id = `AtlasTexture_${piece.id}`;
+      subResources.push(
+        [
+          `[sub_resource type="AtlasTexture" id="${id}"]`,
+          `atlas = ExtResource("${textureId(piece.atlas.file)}")`,
+          `region = Rect2(${rx}, ${ry}, ${width}, ${height})`,
+        ].join('\n')
+      );
+      // Sheets store rotated pieces turned 90° clockwise; turn the sprite back.
+      if (piece.atlas.rotated) lines.push('rotation = -1.5707964');
+      lines.push(`texture = SubResource("${id}")`);
+    } else if (piece.file) {
+      lines.push(`texture = ExtResource("${textureId(piece.file)}")`);
+    }
+    nodes.push(lines.join('\n'));
+  });
+
+  const loadSteps = textures.length + subResources.length + 1;
+  return [
+    `[gd_scene load_steps=${loadSteps} format=3]`,
+    ...textures,
+    ...subResources,
+    `[node name="${manifest.source.fileBaseName || 'Sliced'}" type="Node2D"]`,
+    ...nodes,
+  ].join('\n\n') + '\n';
+}
+
+/**
+ * Phaser / PixiJS JSON-hash spritesheet for one atlas sheet.
+ * spriteSourceSize carries the piece offset in the source, so frames drawn at one origin rebuild the image.
+ * Offsets are rounded to whole pixels. Pieces that bleed past the image edge are not clipped: sourceSize
+ * grows to cover them and every offset shifts by meta.sourceOffsetPx, where the image's top-left now sits.
+ * @param {Object} manifest - Completed manifest with an `atlas` block
+ * @param {number} sheetIndex - Atlas sheet index
+ * @returns {Object} JSON-hash spritesheet
+ */
+export function buildPhaserAtlasHash(manifest, sheetIndex) {
+  const sheet = manifest.atlas.sheets[sheetIndex];
+  // Same source frame for every sheet, so frames from different sheets still line up
+  const offsets = new Map(
+    manifest.pieces.map((piece) => [piece.id, { x: Math.round(piece.boundsPx.x), y: Math.round(piece.boundsPx.y) }])
+  );
+  const shiftX = Math.max(0, ...manifest.pieces.map((piece) => -offsets.get(piece.id).x));
+  const shiftY = Math.max(0, ...manifest.pieces.map((piece) => -offsets.get(piece.id).y));
+  const right = Math.max(...manifest.pieces.map((piece) => offsets.get(piece.id).x + piece.boundsPx.width));
+  const bottom = Math.max(...manifest.pieces.map((piece) => offsets.get(piece.id).y + piece.boundsPx.height));
+  const sourceW = Math.max(manifest.source.width, right) + shiftX;
+  const sourceH = Math.max(manifest.source.height, bottom) + shiftY;
+
+  const frames = {};
+  manifest.pieces
+    .filter((piece) => piece.atlas?.index === sheetIndex)
+    .forEach((piece) => {
+      const { width, height } = piece.boundsPx;
+      const { x, y } = offsets.get(piece.id);
+      frames[frameName(piece)] = {
+        // TexturePacker convention: frame size is the unrotated piece size
+        frame: { x: piece.atlas.rectPx.x, y: piece.atlas.rectPx.y, w: width, h: height },
+        rotated: piece.atlas.rotated,
+        trimmed: true,
+        spriteSourceSize: { x: x + shiftX, y: y + shiftY, w: width, h: height },
+        sourceSize: { w: sourceW, h: sourceH },
+      };
+    });
+
+  return {
+    frames,
+    meta: {
+      app: 'nutty-image-slicer',
+      version: '1.0',
+      image: sheet.file,
+      format: 'RGBA8888',
+      size: { w: sheet.width, h: sheet.height },
+      scale: '1',
+      sourceOffsetPx: { x: shiftX, y: shiftY },
+    },
+  };
+}
+
+/**
+ * Spine skeleton JSON: a root bone at the image centre and one slot / region attachment per piece
+ * @param {Object} manifest - Completed manifest
+ * @returns {Object} Skeleton JSON
+ */
+export function buildSpineSkeleton(manifest) {
+  const { width: srcW, height: srcH } = manifest.source;
+  const attachments = {};
+  const slots = manifest.pieces.map((piece) => {
+    const name = frameName(piece);
+    const [x, y] = spinePosition(piece, manifest);
+    attachments[name] = {
+      [name]: {
+        x,
+        y,
+        width: piece.boundsPx.width,
+        height: piece.boundsPx.height,
+        // Loose PNGs resolve through skeleton.images; atlas regions are named after the piece
+        ...(piece.file && { path: piece.file.replace(/\.png$/i, '') }),
+      },
+    };
+    return { name, bone: 'root', attachment: name };
+  });
+
+  return {
+    skeleton: { spine: '4.1.00', x: -srcW / 2, y: -srcH / 2, width: srcW, height: srcH, images: './' },
+    bones: [{ name: 'root' }],
+    slots,
+    skins: [{ name: 'default', attachments }],
+    animations: {},
+  };
+}
+
+/**
+ * Spine / libGDX texture atlas for exported sheets (unrotated regions only)
+ * @param {Object} manifest - Completed manifest with an `atlas` block
+ * @returns {string} .atlas text
+ */
+export function buildSpineAtlas(manifest) {
+  return manifest.atlas.sheets
+    .map((sheet) => {
+      const regions = manifest.pieces
+        .filter((piece) => piece.atlas?.index === sheet.index)
+        .map((piece) => {
+          const { x, y, width, height } = piece.atlas.rectPx;
+          return `${frameName(piece)}\nbounds:${x},${y},${width},${height}`;
+        });
+      return [`${sheet.file}`, `size:${sheet.width},${sheet.height}`, 'filter:Linear,Linear', ...regions].join('\n');
+    })
+    .join('\n\n') + '\n';
+}
+
+/**
+ * Write the preset's engine files into the export folder and describe them in the manifest
+ * @param {JSZip} folder - Target zip folder
+ * @param {string} baseName - Export base name
+ * @param {Object} manifest - Completed manifest (pieces sorted)
+ * @param {string} target - Export target value
+ */
+export function addEnginePresetFiles(folder, baseName, manifest, target) {
+  if (target === 'godot') {
+    const file = `${baseName}.tscn`;
+    folder.file(file, buildGodotSpriteScene(manifest));
+    manifest.godot = {
+      scene: file,
+      coordinateSystem: { name: 'godot-2d', origin: 'image-center', x: 'right', y: 'down', units: 'pixels' },
+      placement: {
+        node: 'Sprite2D (centered)',
+        formula: { x: 'centerPx.x - source.width/2', y: 'centerPx.y - source.height/2' },
+      },
+    };
+  } else if (target === 'phaser') {
+    const files = manifest.atlas.sheets.map((sheet) => {
+      const file = sheet.file.replace(/\.png$/i, '.json');
+      folder.file(file, JSON.stringify(buildPhaserAtlasHash(manifest, sheet.index), null, 2));
+      return file;
+    });
+    manifest.phaser = {
+      format: 'json-hash',
+      atlases: files,
+      frameNames: 'piece_<id>',
+      coordinateSystem: { name: 'phaser-pixi', origin: 'top-left', x: 'right', y: 'down', units: 'pixels' },
+      placement: {
+        trimmedFrames: 'every frame at (source.width/2, source.height/2) with origin 0.5 rebuilds the image',
+        formula: { x: 'centerPx.x', y: 'centerPx.y', note: 'when ignoring trim data, origin 0.5' },
+      },
+    };
+  } else if (target === 'spine') {
+    const file = `${baseName}-skeleton.json`;
+    folder.file(file, JSON.stringify(buildSpineSkeleton(manifest), null, 2));
+    let atlasFile = null;
+    if (manifest.atlas) {
+      atlasFile = `${baseName}.atlas`;
+      folder.file(atlasFile, buildSpineAtlas(manifest));
+    }
+    manifest.spine = {
+      skeleton: file,
+      atlas: atlasFile,
+      coordinateSystem: { name: 'spine', origin: 'image-center', x: 'right', y: 'up', units: 'pixels' },
+      placement: {
+        attachment: 'region on the root bone',
+        formula: { x: 'centerPx.x - source.width/2', y: 'source.height/2 - centerPx.y' },
+      },
+    };
+  }
+}
@@ -0,0 +1,234 @@
+import { GIFEncoder, quantize, applyPalette } from 'gifenc';
+import { createCanvas, createSeededRandom } from './voronoiSlicer';
+
+export const DEFAULT_EXPLODE_PARAMS = {
+  impact: { x: 0.5, y: 0.5 },
+  speed: 500,
+  spin: 180,
+  gravity: 900,
+  duration: 1.6,
+  fadeStart: 0.6,
+  fps: 20,
+};
+
+/**
+ * Initial motion for every piece: pushed away from the impact point, faster when closer.
+ * Deterministic for a given seed so the manifest matches the preview.
+ * @param {Array} pieces - Pieces from sliceImageIntoVoronoiPieces
+ * @param {{ width: number, height: number }} size - Source image size
+ * @param {Object} params - Explode params (impact normalised 0..1, speed px/s, spin deg/s)
+ * @param {number} seed - PRNG seed
+ * @returns {Map<number, { vx: number, vy: number, angularVelocity: number }>} Motion by piece id (px/s, deg/s, y down)
+ */
+export function computePieceMotions(pieces, { width, height }, params, seed = 0) {
+  const random = createSeededRandom(seed);
+  const ix = params.impact.x * width;
+  const iy = params.impact.y * height;
+  const maxDist = Math.hypot(Math.max(ix, width - ix), Math.max(iy, height - iy)) || 1;
+
+  const motions = new Map();
+  [...pieces]
+    .sort((a, b) => a.id - b.id)
+    .forEach((piece) => {
+      const cx = piece.originalX + piece.canvas.width / 2;
+      const cy = piece.originalY + piece.canvas.height / 2;
+      const dist = Math.hypot(cx - ix, cy - iy);
+      const angle = dist > 1e-6 ? Math.atan2(cy - iy, cx - ix) : random() * Math.PI * 2;
+      const closeness = 1 - Math.min(1, dist / maxDist);
+      const speed = params.speed * (0.5 + 0.5 * closeness) * (0.85 + 0.3 * random());
+      motions.set(piece.id, {
+        vx: Math.cos(angle) * speed,
+        vy: Math.sin(angle) * speed,
+        angularVelocity: params.spin * (random() * 2 - 1) * (0.5 + 0.5 * closeness),
+      });
+    });
+  return motions;
+}
+
+/**
+ * Draw the explosion at time t (seconds) with pieces starting at their sliced positions
+ * @param {CanvasRenderingContext2D} ctx - Target context (sized like the source, or scaled)
+ * @param {Array} pieces - Pieces from sliceImageIntoVoronoiPieces
+ * @param {Map} motions - From computePieceMotions
+ * @param {number} t - Time in seconds
+ * @param {Object} params - Explode params (gravity px/s², duration s, fadeStart 0..1)
+ * @param {number} [scale] - Output scale relative to source pixels
+ */
+export function drawExplodeFrame(ctx, pieces, motions, t, params, scale = 1) {
+  const fadeFrom = params.duration * params.fadeStart;
+  const alpha = t <= fadeFrom ? 1 : Math.max(0, 1 - (t - fadeFrom) / Math.max(1e-6, params.duration - fadeFrom));
+
+  ctx.clearRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+  pieces.forEach((piece) => {
+    const motion = motions.get(piece.id);
+    if (!motion) return;
+    const { width, height } = piece.canvas;
+    const x = piece.originalX + width / 2 + motion.vx * t;
+    const y = piece.originalY + height / 2 + motion.vy * t + 0.5 * params.gravity * t * t;
+
+    ctx.save();
+    ctx.globalAlpha = alpha;
+    ctx.translate(x * scale, y * scale);
+    ctx.rotate((motion.angularVelocity * t * Math.PI) / 180);
+    ctx.drawImage(piece.canvas, (-width / 2) * scale, (-height / 2) * scale, width * scale, height * scale);
+    ctx.restore();
+  });
+}
+
+/**
+ * Render the whole animation to canvases at params.fps
+ * @param {Array} pieces - Pieces from sliceImageIntoVoronoiPieces
+ * @param {Map} motions - From computePieceMotions
+ * @param {Object} params - Explode params
+ * @param {{ width: number, height: number, maxSize: number }} options - Source size and longest output side
+ * @returns {{ frames: Array, width: number, height: number, scale: number }} Rendered frames
+ */
+export function renderExplodeFrames(pieces, motions, params, { width, height, maxSize = 512 }) {
+  const scale = Math.min(1, maxSize / Math.max(width, height));
+  const frameWidth = Math.max(1, Math.round(width * scale));
+  const frameHeight = Math.max(1, Math.round(height * scale));
+  const frameCount = Math.max(1, Math.round(params.duration * params.fps) + 1);
+
+  const frames = [];
+  for (let i = 0; i < frameCount; i++) {
+    const frame = createCanvas(frameWidth, frameHeight);
+    drawExplodeFrame(frame.getContext('2d'), pieces, motions, i / params.fps, params, scale);
+    frames.push(frame);
+  }
+  return { frames, width: frameWidth, height: frameHeight, scale };
+}
+
+/**
+ * Lay frames out left-to-right, top-to-bottom on one flipbook sheet
+ * @param {Array} frames - Equal-sized frame canvases
+ * @returns {{ canvas: Object, columns: number, rows: number }} Sheet and grid size
+ */
+export function createFlipbookSheet(frames) {
+  const { width, height } = frames[0];
+  const columns = Math.ceil(Math.sqrt(frames.length));
+  const rows = Math.ceil(frames.length / columns);
+  const canvas = createCanvas(columns * width, rows * height);
+  const ctx = canvas.getContext('2d');
+  frames.forEach((frame, i) => {
+    ctx.drawImage(frame, (i % columns) * width, Math.floor(i / columns) * height);
+  });
+  return { canvas, columns, rows };
+}
+
+/**
+ * Encode frames as a looping GIF over a solid background (GIF has no partial alpha, so fades need one)
+ * @param {Array} frames - Equal-sized frame canvases
+ * @param {number} fps - Frames per second
+ * @param {string} background - CSS colour behind the pieces
+ * @returns {Uint8Array} GIF bytes
+ */
+export function encodeExplodeGif(frames, fps, background) {
+  const { width, height } = frames[0];
+  const flat = createCanvas(width, height);
+  const ctx = flat.getContext('2d', { willReadFrequently: true });
+  const gif = GIFEncoder();
+  const delay = Math.round(1000 / fps);
+
+  frames.forEach((frame) => {
+    ctx.fillStyle = background;
+    ctx.fillRect(0, 0, width, height);
+    ctx.drawImage(frame, 0, 0);
+    const { data } = ctx.getImageData(0, 0, width, height);
+    const palette = quantize(data, 256);
+    gif.writeFrame(applyPalette(data, palette), width, height, { palette, delay });
+  });
+  gif.finish();
+  return gif.bytes();
+}
+
+/**
+ * Whether this browser can record a canvas to WebM
+ */
+export function canRecordWebm() {
+  return (
+    typeof MediaRecorder !== 'undefined' &&
+    typeof HTMLCanvasElement !== 'undefined' &&
+    'captureStream' in HTMLCanvasElement.prototype &&
+    MediaRecorder.isTypeSupported('video/webm')
+  );
+}
+
+/**
+ * Record frames to WebM by replaying them in real time on a captured canvas (browser only)
+ * @param {Array} frames - Equal-sized frame canvases
+ * @param {number} fps - Frames per second
+ * @param {string} background - CSS colour behind the pieces
+ * @returns {Promise<Blob>} WebM video
+ */
+export function recordExplodeWebm(frames, fps, background) {
+  const { width, height } = frames[0];
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  const drawFrame = (frame) => {
+    ctx.fillStyle = background;
+    ctx.fillRect(0, 0, width, height);
+    ctx.drawImage(frame, 0, 0);
+  };
+
+  return new Promise((resolve, reject) => {
+    const recorder = new MediaRecorder(canvas.captureStream(fps), { mimeType: 'video/webm' });
+    const chunks = [];
+    recorder.ondataavailable = (event) => {
+      if (event.data.size) chunks.push(event.data);
+    };
+    recorder.onstop = () => resolve(new Blob(chunks, { type: 'video/webm' }));
+    recorder.onerror = (event) => reject(event.error || new Error('WebM recording failed'));
+
+    drawFrame(frames[0]);
+    recorder.start();
+    let index = 1;
+    const timer = setInterval(() => {
+      if (index >= frames.length) {
+        clearInterval(timer);
+        recorder.stop();
+        return;
+      }
+      drawFrame(frames[index++]);
+    }, 1000 / fps);
+  });
+}
+
+/**
+ * Manifest block describing the explosion; per-piece motion comes from createMotionEntry
+ * @param {Object} params - Explode params
+ * @param {{ width: number, height: number, pixelsPerUnit: number, seed: number }} context - Source size, PPU and seed
+ * @returns {Object} Manifest `explode` block
+ */
+export function createExplodeBlock(params, { width, height, pixelsPerUnit, seed }) {
+  return {
+    seed,
+    impactPx: { x: params.impact.x * width, y: params.impact.y * height },
+    speedPxPerS: params.speed,
+    spinDegPerS: params.spin,
+    gravityPxPerS2: params.gravity,
+    durationS: params.duration,
+    fadeStartS: params.duration * params.fadeStart,
+    unityGravity: params.gravity / pixelsPerUnit,
+    coordinateSystem: 'velocityPx is image space (x right, y down, px/s); angularVelocityDeg is clockwise on screen',
+    formula: {
+      centerPx: 'centerPx + velocityPx * t + (0, gravityPxPerS2 * t² / 2)',
+      rotationDeg: 'angularVelocityDeg * t',
+      alpha: 't < fadeStartS ? 1 : 1 - (t - fadeStartS) / (durationS - fadeStartS)',
+    },
+  };
+}
+
+/**
+ * Per-piece motion for the manifest, in image space and Unity's (y up, counter-clockwise positive)
+ */
+export function createMotionEntry(motion, pixelsPerUnit) {
+  const round = (value) => Math.round(value * 1000) / 1000;
+  return {
+    velocityPx: { x: round(motion.vx), y: round(motion.vy) },
+    angularVelocityDeg: round(motion.angularVelocity),
+    unityVelocity: { x: round(motion.vx / pixelsPerUnit), y: round(-motion.vy / pixelsPerUnit) },
+    unityAngularVelocityDeg: round(-motion.angularVelocity),
+  };
+}
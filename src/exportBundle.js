@@ -0,0 +1,248 @@
+import { packAtlases, renderAtlasSheets, describeAtlasPlacement } from './atlasPacker';
+import { createPieceEntry } from './manifest';
+import { buildPieceCollider, buildGodotColliderScene, buildBox2dScene } from './colliders';
+import { createUnityImporterScript, UNITY_IMPORTER_PATH } from './unityImporter';
+import { addEnginePresetFiles } from './enginePresets';
+import { computePieceMotions, createExplodeBlock, createMotionEntry } from './explodeAnimation';
+import { createHierarchyBlock } from './hierarchy';
+import { encodeCanvasPng } from './alphaModes';
+import { addPrintFiles } from './printCut';
+
+/**
+ * Pack piece canvases into atlas sheets (throws if a piece does not fit)
+ * @param {Array} pieces - Pieces from sliceImageIntoVoronoiPieces
+ * @param {Object} atlasOptions - { maxSize, padding, allowRotation }
+ * @returns {Array} Sheets from packAtlases
+ */
+export function packPieceAtlases(pieces, atlasOptions) {
+  return packAtlases(
+    pieces.map((piece) => ({ id: piece.id, width: piece.canvas.width, height: piece.canvas.height })),
+    atlasOptions
+  );
+}
+
+/**
+ * File name of a piece PNG in the export; index is the piece's position in the exported list
+ * @param {string} baseName - Export base name
+ * @param {number} index - Zero-based position in the exported pieces
+ * @param {number} id - Piece id
+ * @returns {string} PNG file name
+ */
+export function pieceFileName(baseName, index, id) {
+  return `${baseName}-${String(index + 1).padStart(3, '0')}-piece-${id}.png`;
+}
+
+/**
+ * File name of one companion layer of a piece, next to the piece PNG
+ * @param {string} baseName - Export base name
+ * @param {number} index - Zero-based position in the exported pieces
+ * @param {number} id - Piece id
+ * @param {string} layer - Layer name (see LAYER_KINDS)
+ * @returns {string} PNG file name
+ */
+export function pieceLayerFileName(baseName, index, id, layer) {
+  return pieceFileName(baseName, index, id).replace(/\.png$/, `-${layer}.png`);
+}
+
+/**
+ * Write piece PNGs (or atlas sheets) and the -slice-positioner.json manifest into a JSZip folder.
+ * This is the layout both the browser export and the CLI produce.
+ * @param {JSZip} folder - Target zip folder
+ * @param {Object} options - { baseName, manifest, pieces, atlasSheets, atlasOptions, colliders, unityImporter, exportTarget, explode, hierarchy, alphaMode, dilatePx, selectedIds, print, encodePng }
+ *   where encodePng(canvas) resolves to PNG data JSZip accepts (Blob, Buffer, Uint8Array),
+ *   colliders ({ alphaThreshold, maxVertices } or null) adds traced collider shapes,
+ *   unityImporter ({ target } or null) bundles Editor/NuttySliceImporter.cs
+ *   exportTarget adds that engine preset's files (see EXPORT_TARGETS)
+ *   explode ({ params, seed } or null) writes per-piece explode motion
+ *   hierarchy ({ tree, level } or null) records parent / child ids for re-sliced pieces
+ *   alphaMode ('straight' | 'premultiplied' | 'dilated', see ALPHA_MODES) picks how PNG alpha is written,
+ *   dilatePx how far 'dilated' extrudes edge colours (on atlas sheets, at most the padding past each piece)
+ *   selectedIds (Set or null) writes only those pieces, named and moving exactly as in the full export
+ *   and print ({ source, widthMm, dpi, bleedMm, marks, cutFormat } or null) adds a cut template and print sheet.
+ *   Pieces carrying companion `layers` get one extra PNG (or atlas sheet) per layer, always straight alpha.
+ * @returns {Promise<Object>} The completed manifest
+ */
+export async function addSliceExport(
+  folder,
+  {
+    baseName,
+    manifest,
+    pieces,
+    atlasSheets = null,
+    atlasOptions = {},
+    colliders = null,
+    unityImporter = null,
+    exportTarget = 'unity',
+    explode = null,
+    hierarchy = null,
+    alphaMode = 'straight',
+    dilatePx = 16,
+    selectedIds = null,
+    print = null,
+    encodePng,
+  }
+) {
+  // Non-straight modes need the raw pixels, so they bypass the caller's canvas encoder
+  const alphaThreshold = manifest.slicer?.alphaThreshold;
+  const encode =
+    alphaMode === 'straight'
+      ? encodePng
+      : (canvas, atlasSheet = null) =>
+          encodeCanvasPng(canvas, alphaMode, { alphaThreshold, dilatePx, atlasSheet, padding: atlasOptions.padding });
+  manifest.png = {
+    alphaMode,
+    ...(alphaMode === 'dilated' && {
+      dilatePx,
+      alphaThreshold,
+      // Sheets dilate each piece inside its own rect and padding band only
+      ...(atlasSheets && { atlasDilateOutsetPx: Math.min(dilatePx, atlasOptions.padding) }),
+    }),
+  };
+
+  const atlasFileName = (index) => `${baseName}-atlas-${index}.png`;
+  const atlasLayerFileName = (index, layer) => `${baseName}-atlas-${index}-${layer}.png`;
+  const layerNames = (pieces[0]?.layers ?? []).map((layer) => layer.name);
+  const atlasById = new Map();
+  if (atlasSheets) {
+    manifest.atlas = {
+      maxSize: atlasOptions.maxSize,
+      paddingPx: atlasOptions.padding,
+      allowRotation: atlasOptions.allowRotation,
+      rotation: 'rotated pieces are stored turned 90° clockwise',
+      uvOrigin: 'bottom-left',
+      sheets: atlasSheets.map((sheet, index) => ({
+        index,
+        file: atlasFileName(index),
+        ...(layerNames.length > 0 && {
+          layers: Object.fromEntries(layerNames.map((name) => [name, atlasLayerFileName(index, name)])),
+        }),
+        width: sheet.width,
+        height: sheet.height,
+      })),
+    };
+    atlasSheets.forEach((sheet, index) => {
+      sheet.placements.forEach((placement) => {
+        atlasById.set(placement.id, {
+          index,
+          file: atlasFileName(index),
+          ...describeAtlasPlacement(placement, sheet),
+        });
+      });
+    });
+  }
+
+  // Companion maps share the piece's size, trim and pivot, so they need no placement of their own
+  if (layerNames.length) {
+    manifest.layers = {
+      names: layerNames,
+      alphaMode: 'straight',
+      note: 'each layer file matches its piece PNG (or atlas sheet) pixel for pixel',
+    };
+  }
+
+  if (colliders) {
+    manifest.colliders = {
+      alphaThreshold: colliders.alphaThreshold,
+      maxVertices: colliders.maxVertices,
+      maxConvexPartVertices: 8,
+      outlines: 'piece-local pixels (top-left origin, y down), outer boundaries only',
+      unity: 'PolygonCollider2D paths in sprite units relative to the piece pivot.px (y up)',
+      godotScene: `${baseName}-colliders.tscn`,
+      box2d: `${baseName}-box2d.json`,
+    };
+  }
+
+  if (unityImporter) {
+    manifest.unity.importer = { script: UNITY_IMPORTER_PATH, target: unityImporter.target };
+    folder.file(UNITY_IMPORTER_PATH, createUnityImporterScript(unityImporter));
+  }
+
+  if (hierarchy) {
+    manifest.hierarchy = createHierarchyBlock(hierarchy.tree, hierarchy.level);
+  }
+
+  if (selectedIds) {
+    manifest.subset = {
+      pieceIds: pieces.filter((piece) => selectedIds.has(piece.id)).map((piece) => piece.id),
+      totalPieces: pieces.length,
+      note: 'partial export: file names, ids and motion match the full export of the same settings',
+    };
+  }
+
+  // The cut template always covers the whole puzzle, even for a partial export
+  if (print) {
+    manifest.print = await addPrintFiles(folder, baseName, pieces, print, encodePng);
+  }
+
+  let motions = null;
+  if (explode) {
+    const { width, height } = manifest.source;
+    const pixelsPerUnit = manifest.unity.pixelsPerUnit;
+    motions = computePieceMotions(pieces, { width, height }, explode.params, explode.seed);
+    manifest.explode = createExplodeBlock(explode.params, { width, height, pixelsPerUnit, seed: explode.seed });
+  }
+
+  const exportJobs = pieces.map(async (piece, idx) => {
+    if (selectedIds && !selectedIds.has(piece.id)) return;
+
+    let fileName = null;
+    let layerFiles = null;
+    if (!atlasSheets) {
+      fileName = pieceFileName(baseName, idx, piece.id);
+      folder.file(fileName, await encode(piece.canvas));
+      if (piece.layers) {
+        layerFiles = {};
+        for (const layer of piece.layers) {
+          layerFiles[layer.name] = pieceLayerFileName(baseName, idx, piece.id, layer.name);
+          folder.file(layerFiles[layer.name], await encodePng(layer.canvas));
+        }
+      }
+    } else if (piece.layers) {
+      const { index } = atlasById.get(piece.id);
+      layerFiles = Object.fromEntries(piece.layers.map((layer) => [layer.name, atlasLayerFileName(index, layer.name)]));
+    }
+
+    manifest.pieces.push(
+      createPieceEntry(piece, manifest, {
+        file: fileName,
+        layers: layerFiles,
+        atlas: atlasById.get(piece.id),
+        collider: colliders && buildPieceCollider(piece, colliders),
+        motion: motions && createMotionEntry(motions.get(piece.id), manifest.unity.pixelsPerUnit),
+        node: hierarchy?.tree.get(piece.id),
+      })
+    );
+  });
+
+  await Promise.all(exportJobs);
+
+  if (atlasSheets) {
+    const canvasesById = new Map(pieces.map((piece) => [piece.id, piece.canvas]));
+    const sheetCanvases = renderAtlasSheets(atlasSheets, canvasesById);
+    await Promise.all(
+      sheetCanvases.map(async (sheetCanvas, index) => {
+        folder.file(atlasFileName(index), await encode(sheetCanvas, atlasSheets[index]));
+      })
+    );
+    // Same placements, so a layer sheet's regions match the albedo sheet exactly
+    for (const [n, name] of layerNames.entries()) {
+      const layerCanvasesById = new Map(pieces.map((piece) => [piece.id, piece.layers[n].canvas]));
+      const layerSheets = renderAtlasSheets(atlasSheets, layerCanvasesById);
+      await Promise.all(
+        layerSheets.map(async (sheetCanvas, index) => {
+          folder.file(atlasLayerFileName(index, name), await encodePng(sheetCanvas));
+        })
+      );
+    }
+  }
+
+  // Keep manifest ordering stable for editor tools
+  manifest.pieces.sort((a, b) => a.id - b.id);
+  addEnginePresetFiles(folder, baseName, manifest, exportTarget);
+  folder.file(`${baseName}-slice-positioner.json`, JSON.stringify(manifest, null, 2));
+  if (colliders) {
+    folder.file(manifest.colliders.godotScene, buildGodotColliderScene(manifest));
+    folder.file(manifest.colliders.box2d, JSON.stringify(buildBox2dScene(manifest), null, 2));
+  }
+  return manifest;
+}
@@ -0,0 +1,174 @@
+import { Delaunay } from 'd3-delaunay';
+import { createSeededRandom } from './voronoiSlicer';
+
+function signedArea(polygon) {
+  let area = 0;
+  for (let i = 0; i < polygon.length; i++) {
+    const [x1, y1] = polygon[i];
+    const [x2, y2] = polygon[(i + 1) % polygon.length];
+    area += x1 * y2 - x2 * y1;
+  }
+  return area / 2;
+}
+
+function isInsidePolygon([x, y], polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [xi, yi] = polygon[i];
+    const [xj, yj] = polygon[j];
+    if (yi > y !== yj > y && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+// Drop the closing vertex d3-delaunay repeats at the end of a ring.
+function openRing(polygon) {
+  const [fx, fy] = polygon[0];
+  const [lx, ly] = polygon[polygon.length - 1];
+  return fx === lx && fy === ly ? polygon.slice(0, -1) : polygon;
+}
+
+/**
+ * Sutherland–Hodgman: clip any polygon against a convex window
+ * @param {Array} subject - Polygon to clip
+ * @param {Array} window - Convex polygon
+ * @returns {Array} Clipped polygon (may be empty)
+ */
+function clipToConvex(subject, window) {
+  const orientation = Math.sign(signedArea(window)) || 1;
+  let output = subject;
+  for (let i = 0; i < window.length && output.length; i++) {
+    const a = window[i];
+    const b = window[(i + 1) % window.length];
+    const side = ([x, y]) => orientation * ((b[0] - a[0]) * (y - a[1]) - (b[1] - a[1]) * (x - a[0]));
+    const input = output;
+    output = [];
+    input.forEach((current, k) => {
+      const previous = input[(k - 1 + input.length) % input.length];
+      const sc = side(current);
+      const sp = side(previous);
+      if (sc >= 0) {
+        if (sp < 0) output.push(intersect(previous, current, sp, sc));
+        output.push(current);
+      } else if (sp >= 0) {
+        output.push(intersect(previous, current, sp, sc));
+      }
+    });
+  }
+  return output;
+}
+
+function intersect(p, q, sp, sq) {
+  const t = sp / (sp - sq);
+  return [p[0] + (q[0] - p[0]) * t, p[1] + (q[1] - p[1]) * t];
+}
+
+/**
+ * Split one cell polygon into `count` Voronoi shards clipped to it
+ * @param {Array} polygon - Parent cell polygon
+ * @param {number} count - Number of shards
+ * @param {Function} random - PRNG returning [0, 1)
+ * @returns {Array} Children as { polygon, site } (fewer than count if the parent is tiny; a parent
+ *   too small to split comes back whole with a null site)
+ */
+export function subdividePolygon(polygon, count, random) {
+  const ring = openRing(polygon);
+  const xs = ring.map(([x]) => x);
+  const ys = ring.map(([, y]) => y);
+  const bounds = [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)];
+  const [minX, minY, maxX, maxY] = bounds;
+
+  const points = [];
+  const maxTries = count * 50;
+  for (let tries = 0; points.length < count && tries < maxTries; tries++) {
+    const point = [minX + random() * (maxX - minX), minY + random() * (maxY - minY)];
+    if (isInsidePolygon(point, ring)) points.push(point);
+  }
+  if (points.length < 2) return [{ polygon: ring, site: null }];
+
+  const voronoi = Delaunay.from(points).voronoi(bounds);
+  const children = [];
+  points.forEach((site, i) => {
+    const cell = voronoi.cellPolygon(i);
+    if (!cell) return;
+    const clipped = clipToConvex(ring, openRing(cell));
+    if (clipped.length >= 3 && Math.abs(signedArea(clipped)) >= 1) children.push({ polygon: clipped, site });
+  });
+  return children;
+}
+
+/**
+ * Re-slice cells into further levels: each level splits the previous level's cells
+ * (all of them, or only `parentIds`) into `count` children.
+ * Child ids continue after the largest id so every level can be sliced in one pass.
+ * @param {Array} rootCells - Output of extractCells (depth 0)
+ * @param {Array} levels - [{ count, parentIds }] where parentIds is null for all pieces
+ * @param {number} seed - PRNG seed
+ * @returns {{ cells: Array, tree: Map }} All cells, and id -> { parentId, childIds, depth }
+ */
+export function buildHierarchyCells(rootCells, levels, seed = 0) {
+  const tree = new Map();
+  const cells = rootCells.map((cell) => {
+    tree.set(cell.id, { parentId: null, childIds: [], depth: 0 });
+    return cell;
+  });
+
+  let nextId = cells.reduce((max, cell) => Math.max(max, cell.id + 1), 0);
+  let previous = cells;
+  levels.forEach(({ count, parentIds }, index) => {
+    const depth = index + 1;
+    const wanted = parentIds ? new Set(parentIds) : null;
+    const created = [];
+    previous
+      .filter((cell) => !wanted || wanted.has(cell.id))
+      .forEach((parent) => {
+        const random = createSeededRandom((seed ^ Math.imul(parent.id + 1, 0x9e3779b1)) >>> 0);
+        subdividePolygon(parent.polygon, count, random).forEach(({ polygon, site }) => {
+          const id = nextId++;
+          created.push({ id, polygon, bezier: null, site: site ?? parent.site ?? null });
+          tree.set(id, { parentId: parent.id, childIds: [], depth });
+          tree.get(parent.id).childIds.push(id);
+        });
+      });
+    cells.push(...created);
+    previous = created;
+  });
+
+  return { cells, tree };
+}
+
+/**
+ * Pieces for one level of the tree; 'leaves' gives the unsplit pieces of every depth,
+ * which tile the source without overlap
+ * @param {Array} pieces - Sliced pieces (all levels)
+ * @param {Map|null} tree - From buildHierarchyCells
+ * @param {number|string} level - Depth or 'leaves'
+ * @returns {Array} Pieces on that level
+ */
+export function selectLevelPieces(pieces, tree, level) {
+  if (!tree) return pieces;
+  return pieces.filter((piece) => {
+    const node = tree.get(piece.id);
+    if (!node) return false;
+    return level === 'leaves' ? node.childIds.length === 0 : node.depth === level;
+  });
+}
+
+/**
+ * Manifest `hierarchy` block listing piece ids per depth
+ * @param {Map} tree - From buildHierarchyCells
+ * @param {number|string} exportedLevel - Level written to this export
+ * @returns {Object} Hierarchy block
+ */
+export function createHierarchyBlock(tree, exportedLevel) {
+  const levels = [];
+  tree.forEach((node, id) => {
+    if (!levels[node.depth]) levels[node.depth] = { depth: node.depth, pieceIds: [] };
+    levels[node.depth].pieceIds.push(id);
+  });
+  return {
+    exportedLevel,
+    note: 'every level shares the source image coordinate space; "leaves" exports the unsplit pieces of every depth',
+    levels,
+  };
+}
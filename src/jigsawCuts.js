@@ -0,0 +1,171 @@
+import { createSeededRandom, polygonCentroid } from './voronoiSlicer';
+import { vertexKey, edgeKey, collectCellEdges } from './cellEdges';
+
+// Classic tab in a unit frame: u runs along the edge, v bulges out of it.
+const TAB_CURVES = [
+  [[0.2, 0], [0.42, 0], [0.4, 0.08]],
+  [[0.38, 0.16], [0.3, 0.24], [0.5, 0.24]],
+  [[0.7, 0.24], [0.62, 0.16], [0.6, 0.08]],
+  [[0.58, 0], [0.8, 0], [1, 0]],
+];
+
+const TAB_HEIGHT = 0.24;
+
+// A tab spans at most this share of its edge, leaving straight run-ins at both corners
+const MAX_TAB_SHARE = 0.6;
+
+function distanceToLine([px, py], [ax, ay], [bx, by]) {
+  const dx = bx - ax;
+  const dy = by - ay;
+  const len = Math.hypot(dx, dy) || 1;
+  return Math.abs((px - ax) * dy - (py - ay) * dx) / len;
+}
+
+function lerp(a, b, t) {
+  return [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t];
+}
+
+function lineAsCubic(from, to) {
+  return [lerp(from, to, 1 / 3), lerp(from, to, 2 / 3), to];
+}
+
+function sampleCubic(p0, [c1, c2, p3], steps) {
+  const out = [];
+  for (let s = 1; s <= steps; s++) {
+    const t = s / steps;
+    const mt = 1 - t;
+    const a = mt * mt * mt;
+    const b = 3 * mt * mt * t;
+    const c = 3 * mt * t * t;
+    const d = t * t * t;
+    out.push([
+      a * p0[0] + b * c1[0] + c * c2[0] + d * p3[0],
+      a * p0[1] + b * c1[1] + c * c2[1] + d * p3[1],
+    ]);
+  }
+  return out;
+}
+
+function reverseCurves(start, curves) {
+  // Walk the cubic chain backwards: each curve's end becomes the next start.
+  const reversed = [];
+  for (let k = curves.length - 1; k >= 0; k--) {
+    const [c1, c2] = curves[k];
+    const from = k > 0 ? curves[k - 1][2] : start;
+    reversed.push([c2, c1, from]);
+  }
+  return reversed;
+}
+
+/**
+ * Build the curves for one shared edge A→B, with a tab centred on the edge.
+ * Returns plain line curves when the tab or the edge is too short for one
+ * (edges under twice the minimum tab have no room for the run-ins).
+ */
+function buildEdgeCurves(a, b, tabSpan, direction, minTabPx) {
+  const length = Math.hypot(b[0] - a[0], b[1] - a[1]);
+  if (tabSpan < minTabPx || length < minTabPx * 2) {
+    return [lineAsCubic(a, b)];
+  }
+
+  const tx = (b[0] - a[0]) / length;
+  const ty = (b[1] - a[1]) / length;
+  const nx = -ty * direction;
+  const ny = tx * direction;
+  const mid = lerp(a, b, 0.5);
+  const toWorld = ([u, v]) => [
+    mid[0] + (u - 0.5) * tabSpan * tx + v * tabSpan * nx,
+    mid[1] + (u - 0.5) * tabSpan * ty + v * tabSpan * ny,
+  ];
+
+  const tabStart = toWorld([0, 0]);
+  const tabEnd = toWorld([1, 0]);
+  return [
+    lineAsCubic(a, tabStart),
+    ...TAB_CURVES.map((curve) => curve.map(toWorld)),
+    lineAsCubic(tabEnd, b),
+  ];
+}
+
+/**
+ * Wrap a Voronoi diagram so every shared interior edge gets a jigsaw tab or blank.
+ * Both neighbours reuse the same edge curves (reversed), so the pieces still tile exactly.
+ * @param {Delaunay.Voronoi|{ cellPolygon: Function }} voronoi - Cell source
+ * @param {number} numCells - Number of cells
+ * @param {Object} options - { seed, tabSize, minTabPx, samplesPerCurve }
+ * @returns {{ cellPolygon: Function, cellBezier: Function, numCells: number }} Cell source for sliceImageIntoVoronoiPieces
+ */
+export function createJigsawCells(voronoi, numCells, options = {}) {
+  const {
+    seed = 0,
+    tabSize = 1,
+    minTabPx = 12,
+    samplesPerCurve = 12,
+  } = options;
+
+  const random = createSeededRandom(seed);
+  const { rings, edgeOwners } = collectCellEdges(voronoi, numCells);
+  const centroids = rings.map((ring) => ring && polygonCentroid(ring));
+
+  // Shared edges are built once, in the orientation first seen.
+  const sharedEdges = new Map();
+  const getSharedEdge = (key, a, b) => {
+    let edge = sharedEdges.get(key);
+    if (!edge) {
+      const [i, j] = edgeOwners.get(key);
+      const length = Math.hypot(b[0] - a[0], b[1] - a[1]);
+      const clearance = Math.min(
+        distanceToLine(centroids[i], a, b),
+        distanceToLine(centroids[j], a, b)
+      );
+      // Keep the tab head well inside both cells.
+      const tabSpan = Math.min(length * MAX_TAB_SHARE, clearance / TAB_HEIGHT / 2) * tabSize;
+      const direction = random() < 0.5 ? 1 : -1;
+      edge = { a, curves: buildEdgeCurves(a, b, tabSpan, direction, minTabPx) };
+      sharedEdges.set(key, edge);
+    }
+    return edge;
+  };
+
+  const beziers = [];
+  const polygons = [];
+
+  rings.forEach((ring, i) => {
+    if (!ring) return;
+    const curves = [];
+    ring.forEach((a, k) => {
+      const b = ring[(k + 1) % ring.length];
+      const key = edgeKey(a, b);
+      if (edgeOwners.get(key).length !== 2) {
+        curves.push(lineAsCubic(a, b));
+        return;
+      }
+      const edge = getSharedEdge(key, a, b);
+      const sameDirection = vertexKey(edge.a) === vertexKey(a);
+      const edgeCurves = sameDirection ? edge.curves : reverseCurves(edge.a, edge.curves);
+      // Snap the chain to this ring's own vertex so the outline closes exactly.
+      edgeCurves.forEach((curve, c) => {
+        curves.push(c === edgeCurves.length - 1 ? [curve[0], curve[1], b] : curve);
+      });
+    });
+
+    const start = ring[0];
+    const polygon = [start];
+    let from = start;
+    curves.forEach((curve) => {
+      const [c1, c2, to] = curve;
+      const isLine = distanceToLine(c1, from, to) < 1e-6 && distanceToLine(c2, from, to) < 1e-6;
+      polygon.push(...sampleCubic(from, curve, isLine ? 1 : samplesPerCurve));
+      from = to;
+    });
+
+    beziers[i] = { start, curves };
+    polygons[i] = polygon;
+  });
+
+  return {
+    numCells,
+    cellPolygon: (i) => polygons[i] || null,
+    cellBezier: (i) => beziers[i] || null,
+  };
+}
@@ -0,0 +1,155 @@
+import JSZip from 'jszip';
+import { PIVOT_MODES } from './piecePivots';
+import { ALPHA_MODES } from './alphaModes';
+import { ATLAS_MAX_SIZES } from './atlasPacker';
+
+const MANIFEST_SUFFIX = '-slice-positioner.json';
+
+function isFiniteNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+function isPointList(list) {
+  return (
+    Array.isArray(list) &&
+    list.every((p) => Array.isArray(p) && p.length >= 2 && isFiniteNumber(p[0]) && isFiniteNumber(p[1]))
+  );
+}
+
+export function isLayoutFile(file) {
+  if (!file || !file.name) return false;
+  return /\.(json|zip)$/i.test(file.name);
+}
+
+/**
+ * Read a previously exported zip or -slice-positioner.json and return the parsed manifest
+ * @param {File} file - Dropped or picked file
+ * @returns {Promise<Object>} Parsed manifest JSON
+ */
+export async function readManifestFile(file) {
+  if (/\.zip$/i.test(file.name)) {
+    const zip = await JSZip.loadAsync(file);
+    const entries = zip.file(/-slice-positioner\.json$/i);
+    if (!entries.length) {
+      throw new Error(`No *${MANIFEST_SUFFIX} found in ${file.name}`);
+    }
+    return JSON.parse(await entries[0].async('string'));
+  }
+
+  const text = await file.text();
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw new Error(`${file.name} is not valid JSON`);
+  }
+}
+
+/**
+ * Validate a manifest against the loaded source image and extract the slicing layout
+ * @param {Object} manifest - Parsed manifest JSON
+ * @param {{ width: number, height: number }} image - Currently loaded source image
+ * @param {Object} [frame] - The loaded image's frame from createSourceFrame, to explain trim mismatches
+ * @returns {Object} Layout with either `points` or `polygons`, plus the recorded slicer settings
+ */
+export function parseLayoutManifest(manifest, image, frame = null) {
+  if (!manifest || typeof manifest !== 'object' || !manifest.source || !Array.isArray(manifest.pieces)) {
+    throw new Error('File is not a Nutty slice-positioner manifest');
+  }
+
+  const { width, height } = manifest.source;
+  if (width !== image.width || height !== image.height) {
+    const { original, trimmed } = manifest.source;
+    if (
+      frame &&
+      original?.width === frame.originalWidth &&
+      original?.height === frame.originalHeight &&
+      Boolean(trimmed) !== frame.trimmed
+    ) {
+      const state = trimmed ? 'on' : 'off';
+      throw new Error(`This layout was sliced with transparent-border trimming ${state}; turn it ${state} and import again`);
+    }
+    throw new Error(
+      `Source size mismatch: manifest is ${width}×${height}px but the loaded image is ${image.width}×${image.height}px`
+    );
+  }
+
+  const slicer = manifest.slicer || {};
+  const slicerType = ['voronoi', 'grid', 'hex', 'shatter'].includes(slicer.type) ? slicer.type : null;
+  const settings = {
+    slicerType,
+    slicerParams: slicerType && slicer.params && typeof slicer.params === 'object' ? slicer.params : null,
+    contentAware:
+      slicer.contentAware && typeof slicer.contentAware === 'object'
+        ? {
+            metric: slicer.contentAware.metric === 'variance' ? 'variance' : 'edges',
+            strength: isFiniteNumber(slicer.contentAware.strength) ? slicer.contentAware.strength : 0,
+            snapToEdges: Boolean(slicer.contentAware.snapToEdges),
+          }
+        : null,
+    cutStyle: slicer.cutStyle === 'jigsaw' || slicer.cutStyle === 'straight' ? slicer.cutStyle : null,
+    tabSize: isFiniteNumber(slicer.tabSize) ? slicer.tabSize : null,
+    bleed: isFiniteNumber(slicer.bleedPx) ? slicer.bleedPx : null,
+    minOpaqueArea: isFiniteNumber(slicer.minOpaqueAreaPx) ? slicer.minOpaqueAreaPx : 0,
+    minCellArea: isFiniteNumber(slicer.minCellAreaPx) ? slicer.minCellAreaPx : 0,
+    // Older manifests wrote a fixed minOpaqueRatio the slicer never applied
+    minOpaqueRatio: isFiniteNumber(slicer.minOpaqueRatio) && 'minOpaqueAreaPx' in slicer ? slicer.minOpaqueRatio : 0,
+    mergeGroups: Array.isArray(slicer.mergeGroups)
+      ? slicer.mergeGroups
+          .filter(Array.isArray)
+          .map((ids) => ids.filter(Number.isInteger))
+          .filter((ids) => ids.length >= 2)
+      : [],
+    splitIslands: Boolean(slicer.splitIslands),
+    minIslandArea: isFiniteNumber(slicer.minIslandAreaPx) ? slicer.minIslandAreaPx : 64,
+    // Manifests from before pivot modes always padded pieces around an opaque centre
+    pivotMode: PIVOT_MODES.some(({ value }) => value === slicer.pivot?.mode) ? slicer.pivot.mode : 'padded',
+    customPivot:
+      isFiniteNumber(slicer.pivot?.custom?.x) && isFiniteNumber(slicer.pivot?.custom?.y)
+        ? { x: slicer.pivot.custom.x, y: slicer.pivot.custom.y }
+        : null,
+    seed: isFiniteNumber(slicer.seed) ? slicer.seed : null,
+    requestedPieces: isFiniteNumber(slicer.requestedPieces) ? slicer.requestedPieces : null,
+    relaxationIterations: isFiniteNumber(slicer.relaxationIterations) ? slicer.relaxationIterations : null,
+    manualPoints: isPointList(slicer.manualPoints) ? slicer.manualPoints.map(([x, y]) => [x, y]) : [],
+    excludedSeedIndices: Array.isArray(slicer.excludedSeedIndices)
+      ? slicer.excludedSeedIndices.filter(Number.isInteger)
+      : [],
+    subdivisions: Array.isArray(slicer.subdivisions)
+      ? slicer.subdivisions
+          .filter((level) => level && Number.isInteger(level.count) && level.count >= 2)
+          .map((level) => ({
+            count: level.count,
+            parentIds: Array.isArray(level.parentIds) ? level.parentIds.filter(Number.isInteger) : null,
+          }))
+      : [],
+    // Export options the layout was written with; null keeps the current choice
+    alphaMode: ALPHA_MODES.some(({ value }) => value === manifest.png?.alphaMode) ? manifest.png.alphaMode : null,
+    dilatePx: isFiniteNumber(manifest.png?.dilatePx) ? manifest.png.dilatePx : null,
+    pixelsPerUnit: isFiniteNumber(manifest.unity?.pixelsPerUnit) && manifest.unity.pixelsPerUnit > 0
+      ? manifest.unity.pixelsPerUnit
+      : null,
+    atlas:
+      manifest.atlas && typeof manifest.atlas === 'object'
+        ? {
+            maxSize: ATLAS_MAX_SIZES.includes(manifest.atlas.maxSize) ? manifest.atlas.maxSize : null,
+            padding: isFiniteNumber(manifest.atlas.paddingPx) ? manifest.atlas.paddingPx : null,
+            allowRotation: Boolean(manifest.atlas.allowRotation),
+          }
+        : null,
+  };
+
+  // Prefer the recorded points: they rebuild the exact Voronoi diagram.
+  if (isPointList(slicer.points) && slicer.points.length > 0) {
+    return { points: slicer.points.map(([x, y]) => [x, y]), settings };
+  }
+
+  const polygons = manifest.pieces
+    .filter((piece) => Number.isInteger(piece.id) && isPointList(piece.polygonAbsPx) && piece.polygonAbsPx.length >= 3)
+    .map((piece) => ({ id: piece.id, polygon: piece.polygonAbsPx }));
+
+  if (!polygons.length) {
+    throw new Error('Manifest has no usable slicer points or piece polygons');
+  }
+
+  return { polygons, settings };
+}
@@ -0,0 +1,290 @@
+import { getSnapRadiusPx } from './slicePipeline';
+import { toUnityColliderPaths } from './colliders';
+import { createPivotEntry, DEFAULT_CUSTOM_PIVOT } from './piecePivots';
+
+/**
+ * Build the `slicer` block of the -slice-positioner.json manifest
+ * @param {Object} settings - Slicer settings as passed to buildSliceLayout
+ * @param {{ width: number, height: number, points: Array }} layout - Source size and final site points
+ * @returns {Object} Slicer manifest block
+ */
+export function createSlicerBlock(settings, { width, height, points }) {
+  const {
+    slicerType = 'voronoi',
+    slicerParams = {},
+    numPieces,
+    seed,
+    relaxIterations = 0,
+    manualPoints = [],
+    excludedSeeds = [],
+    detailMetric = 'edges',
+    detailStrength = 0,
+    snapToEdges = false,
+    cutStyle = 'straight',
+    tabSize = 1,
+    alphaThreshold = 8,
+    subdivisions = [],
+    bleed = 0,
+    minOpaqueArea = 0,
+    minCellArea = 0,
+    minOpaqueRatio = 0,
+    mergeGroups = [],
+    splitIslands = false,
+    minIslandArea = 64,
+    pivotMode = 'padded',
+    customPivot = DEFAULT_CUSTOM_PIVOT,
+  } = settings;
+
+  return {
+    type: slicerType,
+    params:
+      slicerType === 'shatter'
+        ? {
+            ...slicerParams.shatter,
+            impactPx: {
+              x: slicerParams.shatter.impact.x * (width ?? 0),
+              y: slicerParams.shatter.impact.y * (height ?? 0),
+            },
+          }
+        : slicerParams[slicerType] ?? {},
+    requestedPieces: numPieces,
+    seed,
+    relaxationIterations: relaxIterations,
+    points: points.map(([x, y]) => [x, y]),
+    manualPoints: manualPoints.map(([x, y]) => [x, y]),
+    excludedSeedIndices: [...excludedSeeds],
+    contentAware: {
+      metric: detailMetric,
+      strength: slicerType === 'voronoi' ? detailStrength : 0,
+      snapToEdges,
+      snapRadiusPx: snapToEdges && width && height ? getSnapRadiusPx(width, height) : null,
+    },
+    cutStyle,
+    tabSize: cutStyle === 'jigsaw' ? tabSize : null,
+    alphaThreshold,
+    bleedPx: bleed,
+    minOpaqueRatio,
+    minOpaqueAreaPx: minOpaqueArea,
+    minCellAreaPx: minCellArea,
+    mergeGroups: mergeGroups.map((ids) => [...ids]),
+    splitIslands,
+    minIslandAreaPx: splitIslands ? minIslandArea : null,
+    pivot: { mode: pivotMode, custom: pivotMode === 'custom' ? { x: customPivot.x, y: customPivot.y } : null },
+    subdivisions: subdivisions.map(({ count, parentIds }) => ({ count, parentIds: parentIds ? [...parentIds] : null })),
+  };
+}
+
+/**
+ * Where the sliced (possibly trimmed) source sits inside the original image
+ * @param {{ width: number, height: number }} original - Image as loaded, before trimming
+ * @param {boolean} trimmed - Whether transparent borders were trimmed
+ * @param {{ x: number, y: number }} [offset] - Top-left of the trimmed area in the original image
+ * @returns {Object} { trimmed, originalWidth, originalHeight, offset }
+ */
+export function createSourceFrame(original, trimmed, offset = { x: 0, y: 0 }) {
+  return { trimmed, originalWidth: original.width, originalHeight: original.height, offset: { ...offset } };
+}
+
+/**
+ * Build an empty -slice-positioner.json manifest; piece entries are appended to `pieces`
+ * @param {Object} options - { fileBaseName, width, height, frame, slicer, pixelsPerUnit } where frame
+ *   (from createSourceFrame) places the sliced source in the original image; without it the two are the same
+ * @returns {Object} Manifest
+ */
+export function createSliceManifest({ fileBaseName, width, height, frame = null, slicer, pixelsPerUnit = 100 }) {
+  return {
+    source: {
+      fileBaseName,
+      width: width ?? null,
+      height: height ?? null,
+      trimmed: frame?.trimmed ?? false,
+      original: {
+        width: frame ? frame.originalWidth : width ?? null,
+        height: frame ? frame.originalHeight : height ?? null,
+        trimOffsetPx: { x: frame?.offset.x ?? 0, y: frame?.offset.y ?? 0 },
+        note: 'piece `original` blocks use this image: x = trimmed x + trimOffsetPx.x, y = trimmed y + trimOffsetPx.y',
+      },
+      coordinateSystem: {
+        name: 'image',
+        origin: 'top-left',
+        x: 'right',
+        y: 'down',
+        units: 'pixels',
+      },
+    },
+    unity: {
+      pixelsPerUnit,
+      coordinateSystem: {
+        name: 'unity-2d-world',
+        origin: 'image-center',
+        x: 'right',
+        y: 'up',
+        units: 'world',
+      },
+      placement: {
+        spritePivot: 'pivot.unitySpritePivot (per piece, normalised, bottom-left origin)',
+        positionUses: 'piece pivot (unityWorldPosition)',
+        formula: {
+          worldX: '(pivot.absPx.x - source.width/2) / pixelsPerUnit',
+          worldY: '(source.height/2 - pivot.absPx.y) / pixelsPerUnit',
+        },
+        untrimmedSprite: 'original.unityWorldPosition places pieces over the untrimmed sprite centred at the origin',
+      },
+    },
+    ugui: {
+      intendedUse: 'Canvas Screen Space (pixel-perfect placement)',
+      coordinateSystem: {
+        name: 'recttransform-anchored',
+        origin: 'parent-rect-center',
+        x: 'right',
+        y: 'up',
+        units: 'pixels',
+      },
+      placement: {
+        recommendedCanvas: {
+          renderMode: 'ScreenSpaceOverlay',
+          canvasScaler: 'ConstantPixelSize',
+        },
+        parentRect: {
+          sizeDeltaPx: { width: 'source.width', height: 'source.height' },
+          anchors: 'center',
+          pivot: 'center',
+        },
+        pieceRect: {
+          anchors: 'center',
+          pivot: 'pivot.unitySpritePivot',
+          positionUses: 'piece pivot (uguiAnchoredPositionPx)',
+          formula: {
+            anchoredX: 'pivot.absPx.x - source.width/2',
+            anchoredY: 'source.height/2 - pivot.absPx.y',
+          },
+          untrimmedParent: 'original.uguiAnchoredPositionPx for a parent rect sized source.original.width × height',
+        },
+      },
+    },
+    slicer,
+    pieces: [],
+  };
+}
+
+/**
+ * Build one entry of the manifest's `pieces` array
+ * @param {Object} piece - Piece from sliceImageIntoVoronoiPieces
+ * @param {Object} manifest - Manifest from createSliceManifest (for source size and PPU)
+ * @param {Object} extra - { file, layers, atlas, collider, motion, node } where layers maps companion layer names
+ *   to their files, collider comes from buildPieceCollider,
+ *   motion from createMotionEntry and node ({ parentId, childIds, depth }) from buildHierarchyCells.
+ *   Merged pieces list the cell ids they absorbed in `mergedIds`; pieces split off one cell's
+ *   opaque islands record that cell in `island`. `pivot` comes from createPivotEntry, and unityWorldPosition /
+ *   uguiAnchoredPositionPx place the piece by it. `original` repeats the placement in the untrimmed image
+ * @returns {Object} Piece manifest entry
+ */
+export function createPieceEntry(
+  piece,
+  manifest,
+  { file = null, layers = null, atlas = null, collider = null, motion = null, node = null } = {}
+) {
+  const width = piece.canvas?.width ?? piece.width;
+  const height = piece.canvas?.height ?? piece.height;
+  const centerX = piece.originalX + width / 2;
+  const centerY = piece.originalY + height / 2;
+
+  const srcW = manifest.source.width;
+  const srcH = manifest.source.height;
+  const ppu = manifest.unity.pixelsPerUnit;
+  const worldCenterX = srcW != null ? (centerX - srcW / 2) / ppu : null;
+  const worldCenterY = srcH != null ? (srcH / 2 - centerY) / ppu : null;
+
+  const anchoredX = srcW != null ? (centerX - srcW / 2) : null;
+  const anchoredY = srcH != null ? (srcH / 2 - centerY) : null;
+
+  // Engines that honour a sprite pivot are placed by it rather than by the centre
+  const pivot = createPivotEntry(piece, width, height);
+  const toWorld = (x, y, w, h) => ({
+    x: w != null ? (x - w / 2) / ppu : null,
+    y: h != null ? (h / 2 - y) / ppu : null,
+  });
+  const toAnchored = (x, y, w, h) => ({
+    x: w != null ? x - w / 2 : null,
+    y: h != null ? h / 2 - y : null,
+  });
+
+  // Same placement measured in the untrimmed image
+  const { width: origW, height: origH, trimOffsetPx } = manifest.source.original ?? {
+    width: srcW,
+    height: srcH,
+    trimOffsetPx: { x: 0, y: 0 },
+  };
+  const origX = piece.originalX + trimOffsetPx.x;
+  const origY = piece.originalY + trimOffsetPx.y;
+  const origCenterX = centerX + trimOffsetPx.x;
+  const origCenterY = centerY + trimOffsetPx.y;
+  const origPivotX = pivot.absPx.x + trimOffsetPx.x;
+  const origPivotY = pivot.absPx.y + trimOffsetPx.y;
+
+  const polygonAbs = (piece.cell || []).map(([x, y]) => [x, y]);
+  const polygonLocal = (piece.cell || []).map(([x, y]) => [x - piece.originalX, y - piece.originalY]);
+  const toLocal = ([x, y]) => [x - piece.originalX, y - piece.originalY];
+  const bezierAbs = piece.bezier
+    ? { start: piece.bezier.start, curves: piece.bezier.curves.map((curve) => curve.flat()) }
+    : null;
+  const bezierLocal = piece.bezier
+    ? {
+        start: toLocal(piece.bezier.start),
+        curves: piece.bezier.curves.map((curve) => curve.map(toLocal).flat()),
+      }
+    : null;
+  const toOriginal = ([x, y]) => [x + trimOffsetPx.x, y + trimOffsetPx.y];
+  const bezierOriginal = piece.bezier
+    ? {
+        start: toOriginal(piece.bezier.start),
+        curves: piece.bezier.curves.map((curve) => curve.map(toOriginal).flat()),
+      }
+    : null;
+
+  return {
+    id: piece.id,
+    ...(node && { parentId: node.parentId, childIds: [...node.childIds], depth: node.depth }),
+    ...(piece.mergedIds && { mergedIds: [...piece.mergedIds] }),
+    ...(piece.island && { island: { ...piece.island } }),
+    file,
+    ...(layers && { layers: { ...layers } }),
+    boundsPx: {
+      x: piece.originalX,
+      y: piece.originalY,
+      width,
+      height,
+    },
+    centerPx: { x: centerX, y: centerY },
+    pivot,
+    unityWorldCenter: { x: worldCenterX, y: worldCenterY },
+    unityWorldPosition: toWorld(pivot.absPx.x, pivot.absPx.y, srcW, srcH),
+    uguiAnchoredCenterPx: { x: anchoredX, y: anchoredY },
+    uguiAnchoredPositionPx: toAnchored(pivot.absPx.x, pivot.absPx.y, srcW, srcH),
+    uguiSizePx: { width, height },
+    original: {
+      boundsPx: { x: origX, y: origY, width, height },
+      centerPx: { x: origCenterX, y: origCenterY },
+      pivotPx: { x: origPivotX, y: origPivotY },
+      unityWorldCenter: toWorld(origCenterX, origCenterY, origW, origH),
+      unityWorldPosition: toWorld(origPivotX, origPivotY, origW, origH),
+      uguiAnchoredCenterPx: toAnchored(origCenterX, origCenterY, origW, origH),
+      uguiAnchoredPositionPx: toAnchored(origPivotX, origPivotY, origW, origH),
+      polygonAbsPx: (piece.cell || []).map(toOriginal),
+      ...(bezierOriginal && { bezierAbsPx: bezierOriginal }),
+    },
+    polygonAbsPx: polygonAbs,
+    polygonLocalPx: polygonLocal,
+    // Cubic bezier outline: each curve is [c1x, c1y, c2x, c2y, x, y], starting from `start`
+    ...(bezierAbs && { bezierAbsPx: bezierAbs, bezierLocalPx: bezierLocal }),
+    ...(atlas && { atlas }),
+    ...(collider && {
+      collider: {
+        outlinesLocalPx: collider.outlinesLocalPx,
+        convexPartsLocalPx: collider.convexPartsLocalPx,
+        unityPolygonCollider2D: { paths: toUnityColliderPaths(collider, pivot.px, ppu) },
+      },
+    }),
+    ...(motion && { motion }),
+  };
+}
@@ -0,0 +1,149 @@
+import { createCanvas } from './voronoiSlicer';
+
+/**
+ * Split a clipped cell canvas into one canvas per disconnected opaque island.
+ * Islands are 8-connected pixels at or above alphaThreshold. Islands smaller than minIslandPx,
+ * and faint pixels below the threshold, go to the nearest kept island so no pixel is lost.
+ * Companion layer canvases are split along the same pixel ownership.
+ * @param {HTMLCanvasElement} canvas - Cell canvas after clipping
+ * @param {number} alphaThreshold - Minimum alpha treated as opaque
+ * @param {number} minIslandPx - Islands with fewer opaque pixels are merged back
+ * @param {Array<HTMLCanvasElement>} [layers] - Same-size companion layer canvases
+ * @returns {Array<{ canvas: HTMLCanvasElement, layers: Array }>} Same-size parts, largest island first;
+ *   just the inputs when nothing splits
+ */
+export function splitOpaqueIslands(canvas, alphaThreshold = 8, minIslandPx = 64, layers = []) {
+  const { width, height } = canvas;
+  const imageData = canvas.getContext('2d', { willReadFrequently: true }).getImageData(0, 0, width, height);
+  const { data } = imageData;
+  const total = width * height;
+
+  // Label islands with an explicit stack flood fill
+  const labels = new Int32Array(total).fill(-1);
+  const sizes = [];
+  const stack = new Int32Array(total);
+  for (let start = 0; start < total; start++) {
+    if (labels[start] >= 0 || data[start * 4 + 3] < alphaThreshold) continue;
+    const label = sizes.length;
+    let size = 0;
+    let top = 0;
+    stack[top++] = start;
+    labels[start] = label;
+    while (top) {
+      const index = stack[--top];
+      size++;
+      const x = index % width;
+      const y = (index - x) / width;
+      for (let dy = -1; dy <= 1; dy++) {
+        const ny = y + dy;
+        if (ny < 0 || ny >= height) continue;
+        for (let dx = -1; dx <= 1; dx++) {
+          const nx = x + dx;
+          if (nx < 0 || nx >= width) continue;
+          const n = ny * width + nx;
+          if (labels[n] >= 0 || data[n * 4 + 3] < alphaThreshold) continue;
+          labels[n] = label;
+          stack[top++] = n;
+        }
+      }
+    }
+    sizes.push(size);
+  }
+
+  // The largest island always stays, however small
+  const largest = sizes.reduce((best, size, label) => (size > sizes[best] ? label : best), 0);
+  const kept = sizes
+    .map((size, label) => label)
+    .filter((label) => label === largest || sizes[label] >= minIslandPx)
+    .sort((a, b) => sizes[b] - sizes[a]);
+  if (kept.length <= 1) return [{ canvas, layers }];
+
+  // Grow the kept islands outwards together; each pixel ends up owned by the nearest one
+  const part = new Int32Array(sizes.length).fill(-1);
+  kept.forEach((label, k) => {
+    part[label] = k;
+  });
+  const owner = new Int32Array(total).fill(-1);
+  const distance = new Int32Array(total);
+  const queue = new Int32Array(total);
+  let head = 0;
+  let tail = 0;
+  for (let i = 0; i < total; i++) {
+    if (labels[i] >= 0 && part[labels[i]] >= 0) {
+      owner[i] = part[labels[i]];
+      queue[tail++] = i;
+    }
+  }
+  while (head < tail) {
+    const index = queue[head++];
+    const x = index % width;
+    const neighbours = [
+      x > 0 ? index - 1 : -1,
+      x < width - 1 ? index + 1 : -1,
+      index >= width ? index - width : -1,
+      index + width < total ? index + width : -1,
+    ];
+    neighbours.forEach((n) => {
+      if (n < 0 || owner[n] >= 0) return;
+      owner[n] = owner[index];
+      distance[n] = distance[index] + 1;
+      queue[tail++] = n;
+    });
+  }
+
+  // A merged-back island joins whichever kept island reached it first, as a whole
+  const nearest = new Int32Array(sizes.length).fill(-1);
+  const nearestDistance = new Int32Array(sizes.length).fill(-1);
+  for (let i = 0; i < total; i++) {
+    const label = labels[i];
+    if (label < 0 || part[label] >= 0) continue;
+    if (nearest[label] < 0 || distance[i] < nearestDistance[label]) {
+      nearest[label] = owner[i];
+      nearestDistance[label] = distance[i];
+    }
+  }
+  for (let i = 0; i < total; i++) {
+    if (labels[i] >= 0 && part[labels[i]] < 0) owner[i] = nearest[labels[i]];
+  }
+
+  const copyOwned = (sourceData, k) => {
+    const out = createCanvas(width, height);
+    const ctx = out.getContext('2d');
+    const pixels = ctx.createImageData(width, height);
+    for (let i = 0; i < total; i++) {
+      if (owner[i] !== k) continue;
+      pixels.data.set(sourceData.subarray(i * 4, i * 4 + 4), i * 4);
+    }
+    ctx.putImageData(pixels, 0, 0);
+    return out;
+  };
+  const layerData = layers.map(
+    (layer) => layer.getContext('2d', { willReadFrequently: true }).getImageData(0, 0, width, height).data
+  );
+  return kept.map((label, k) => ({
+    canvas: copyOwned(data, k),
+    layers: layerData.map((layerPixels) => copyOwned(layerPixels, k)),
+  }));
+}
+
+/**
+ * Give split-off island pieces the tree node of the cell they came from, so level
+ * selection and the manifest hierarchy treat them like their cell's own piece
+ * @param {Map|null} tree - From buildHierarchyCells
+ * @param {Array} pieces - Sliced pieces, island pieces carrying `island.cellId`
+ * @returns {Map|null} Tree including the island piece ids
+ */
+export function withIslandNodes(tree, pieces) {
+  if (!tree) return tree;
+  const extra = pieces.filter((piece) => piece.island && piece.island.cellId !== piece.id);
+  if (!extra.length) return tree;
+
+  const out = new Map([...tree].map(([id, node]) => [id, { ...node, childIds: [...node.childIds] }]));
+  extra.forEach((piece) => {
+    const cellNode = out.get(piece.island.cellId);
+    if (!cellNode) return;
+    out.set(piece.id, { ...cellNode, childIds: [...cellNode.childIds] });
+    if (cellNode.parentId != null) out.get(cellNode.parentId).childIds.push(piece.id);
+  });
+  return out;
+}
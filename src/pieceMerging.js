@@ -0,0 +1,242 @@
+import { polygonArea } from './voronoiSlicer';
+import { vertexKey, openRing } from './cellEdges';
+
+// Vertices closer than this (px) are treated as the same point
+const EPSILON = 0.01;
+
+function signedArea(ring) {
+  let area = 0;
+  for (let i = 0; i < ring.length; i++) {
+    const [x1, y1] = ring[i];
+    const [x2, y2] = ring[(i + 1) % ring.length];
+    area += x1 * y2 - x2 * y1;
+  }
+  return area / 2;
+}
+
+function boundsOf(ring) {
+  const xs = ring.map(([x]) => x);
+  const ys = ring.map(([, y]) => y);
+  return [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)];
+}
+
+function boundsTouch(a, b) {
+  return a[0] <= b[2] + EPSILON && b[0] <= a[2] + EPSILON && a[1] <= b[3] + EPSILON && b[1] <= a[3] + EPSILON;
+}
+
+// Insert the other ring's vertices that sit on this ring's edges, so T-junctions
+// (e.g. a clipped sub-cell against its neighbour) become shared vertices.
+function splitAtVertices(ring, other) {
+  const out = [];
+  ring.forEach((a, k) => {
+    const b = ring[(k + 1) % ring.length];
+    out.push(a);
+    const dx = b[0] - a[0];
+    const dy = b[1] - a[1];
+    const length = Math.hypot(dx, dy);
+    if (length < EPSILON) return;
+    const inner = [];
+    other.forEach((p) => {
+      const along = ((p[0] - a[0]) * dx + (p[1] - a[1]) * dy) / length;
+      if (along <= EPSILON || along >= length - EPSILON) return;
+      const off = Math.abs((p[0] - a[0]) * dy - (p[1] - a[1]) * dx) / length;
+      if (off <= EPSILON) inner.push([along, p]);
+    });
+    inner.sort((u, v) => u[0] - v[0]).forEach(([, p]) => out.push(p));
+  });
+  return out;
+}
+
+function removeCollinear(ring) {
+  return ring.filter((p, i) => {
+    const prev = ring[(i - 1 + ring.length) % ring.length];
+    const next = ring[(i + 1) % ring.length];
+    const cross = (p[0] - prev[0]) * (next[1] - p[1]) - (p[1] - prev[1]) * (next[0] - p[0]);
+    const dot = (p[0] - prev[0]) * (next[0] - p[0]) + (p[1] - prev[1]) * (next[1] - p[1]);
+    return Math.abs(cross) > EPSILON * Math.hypot(next[0] - prev[0], next[1] - prev[1]) || dot < 0;
+  });
+}
+
+/**
+ * Union of two polygons that share at least one edge. Shared edges cancel out and
+ * the remaining edges are chained into one ring.
+ * @param {Array} a - Polygon of [x, y]
+ * @param {Array} b - Polygon of [x, y]
+ * @returns {Array|null} Merged polygon, or null when they do not share an edge or the
+ *   union is not a single simple ring (touching at a point, enclosing a hole, overlapping)
+ */
+export function mergePolygons(a, b) {
+  const orient = (ring) => (signedArea(ring) < 0 ? [...ring].reverse() : ring);
+  const ringA = orient(openRing(a));
+  const ringB = orient(openRing(b));
+
+  const edges = [];
+  [splitAtVertices(ringA, ringB), splitAtVertices(ringB, ringA)].forEach((ring) => {
+    ring.forEach((p, k) => {
+      const q = ring[(k + 1) % ring.length];
+      if (vertexKey(p) !== vertexKey(q)) edges.push([p, q]);
+    });
+  });
+
+  // With both rings wound the same way, a shared edge appears once in each direction
+  const directed = new Set(edges.map(([p, q]) => `${vertexKey(p)}>${vertexKey(q)}`));
+  const boundary = edges.filter(([p, q]) => !directed.has(`${vertexKey(q)}>${vertexKey(p)}`));
+  if (boundary.length === edges.length || !boundary.length) return null;
+
+  const byStart = new Map();
+  for (const edge of boundary) {
+    const key = vertexKey(edge[0]);
+    // Two boundary edges leaving one vertex means the pieces only touch there
+    if (byStart.has(key)) return null;
+    byStart.set(key, edge);
+  }
+
+  const ring = [];
+  let edge = boundary[0];
+  for (let steps = 0; steps < boundary.length; steps++) {
+    ring.push(edge[0]);
+    edge = byStart.get(vertexKey(edge[1]));
+    if (!edge) return null;
+    if (edge === boundary[0]) break;
+  }
+  if (ring.length !== boundary.length) return null;
+
+  const merged = removeCollinear(ring);
+  const expected = polygonArea(ringA) + polygonArea(ringB);
+  if (merged.length < 3 || Math.abs(polygonArea(merged) - expected) > Math.max(1, expected * 1e-6)) return null;
+  return merged;
+}
+
+/**
+ * Count pixels whose centre lies inside the polygon and whose alpha passes the threshold
+ * @param {Array} polygon - Polygon of [x, y]
+ * @param {ImageData} imageData - Source pixels
+ * @param {number} alphaThreshold - Minimum alpha treated as opaque
+ * @returns {number} Opaque pixel count
+ */
+export function countOpaquePixels(polygon, imageData, alphaThreshold = 8) {
+  const ring = openRing(polygon);
+  const { width, height, data } = imageData;
+  const [, minY, , maxY] = boundsOf(ring);
+  let count = 0;
+
+  // Scanline through pixel centres; crossings pair up into inside spans
+  for (let y = Math.max(0, Math.floor(minY)); y < Math.min(height, Math.ceil(maxY)); y++) {
+    const cy = y + 0.5;
+    const crossings = [];
+    ring.forEach(([x1, y1], k) => {
+      const [x2, y2] = ring[(k + 1) % ring.length];
+      if (y1 > cy !== y2 > cy) crossings.push(x1 + ((cy - y1) * (x2 - x1)) / (y2 - y1));
+    });
+    crossings.sort((u, v) => u - v);
+    for (let i = 0; i + 1 < crossings.length; i += 2) {
+      const from = Math.max(0, Math.ceil(crossings[i] - 0.5));
+      const to = Math.min(width, Math.ceil(crossings[i + 1] - 0.5));
+      for (let x = from; x < to; x++) {
+        if (data[(y * width + x) * 4 + 3] >= alphaThreshold) count++;
+      }
+    }
+  }
+  return count;
+}
+
+/**
+ * Apply manual merge groups, then merge every cell that fails the size rules into its
+ * largest neighbour. Cells are never dropped: one that cannot be merged is kept as is.
+ * @param {Array} cells - { id, polygon, bezier, site } as from extractCells
+ * @param {Object} options - { mergeGroups, minOpaqueArea, minCellArea, minOpaqueRatio, imageData, alphaThreshold }
+ *   where mergeGroups is an array of id lists, areas are in px² and minOpaqueRatio is opaque px / cell area
+ * @returns {{ cells: Array, mergedIds: Map<number, Array<number>> }} Remaining cells (merged ones
+ *   keep the id and site of the cell they grew into and lose their bezier) and the ids each absorbed
+ */
+export function mergeCells(cells, options = {}) {
+  const {
+    mergeGroups = [],
+    minOpaqueArea = 0,
+    minCellArea = 0,
+    minOpaqueRatio = 0,
+    imageData = null,
+    alphaThreshold = 8,
+  } = options;
+  const countOpaque = imageData && (minOpaqueArea > 0 || minOpaqueRatio > 0);
+  const rulesActive = minCellArea > 0 || countOpaque;
+  if (!mergeGroups.length && !rulesActive) return { cells, mergedIds: new Map() };
+
+  const byId = new Map();
+  cells.forEach((cell) => {
+    const polygon = openRing(cell.polygon);
+    byId.set(cell.id, {
+      id: cell.id,
+      polygon,
+      bezier: cell.bezier,
+      area: polygonArea(polygon),
+      opaque: countOpaque ? countOpaquePixels(polygon, imageData, alphaThreshold) : 0,
+      bounds: boundsOf(polygon),
+      mergedIds: [],
+    });
+  });
+
+  const absorb = (target, source) => {
+    const polygon = mergePolygons(target.polygon, source.polygon);
+    if (!polygon) return false;
+    target.polygon = polygon;
+    target.bezier = null;
+    target.area += source.area;
+    target.opaque += source.opaque;
+    target.bounds = boundsOf(polygon);
+    target.mergedIds.push(source.id, ...source.mergedIds);
+    byId.delete(source.id);
+    return true;
+  };
+
+  // Fold each group into its largest member; members join as soon as they touch the growing piece
+  mergeGroups.forEach((ids) => {
+    const members = ids.map((id) => byId.get(id)).filter(Boolean);
+    if (members.length < 2) return;
+    const target = members.reduce((best, cell) => (cell.area > best.area ? cell : best));
+    let pending = members.filter((cell) => cell !== target);
+    let joined = true;
+    while (pending.length && joined) {
+      const before = pending.length;
+      pending = pending.filter((cell) => !absorb(target, cell));
+      joined = pending.length < before;
+    }
+  });
+
+  if (rulesActive) {
+    const fails = (cell) =>
+      cell.area < minCellArea ||
+      (countOpaque && (cell.opaque < minOpaqueArea || cell.opaque < minOpaqueRatio * cell.area));
+    // Smallest first, so slivers grow their neighbours before those are judged
+    const failing = [...byId.values()].filter(fails).sort((a, b) => a.opaque - b.opaque || a.area - b.area);
+    failing.forEach((cell) => {
+      if (!byId.has(cell.id) || !fails(cell)) return;
+      const neighbours = [...byId.values()]
+        .filter((other) => other !== cell && boundsTouch(other.bounds, cell.bounds))
+        .sort((a, b) => b.area - a.area);
+      neighbours.some((neighbour) => absorb(neighbour, cell));
+    });
+  }
+
+  const mergedIds = new Map();
+  const remaining = cells
+    .filter((cell) => byId.has(cell.id))
+    .map((cell) => {
+      const merged = byId.get(cell.id);
+      if (!merged.mergedIds.length) return cell;
+      mergedIds.set(cell.id, merged.mergedIds.sort((a, b) => a - b));
+      return { ...cell, polygon: merged.polygon, bezier: merged.bezier };
+    });
+  return { cells: remaining, mergedIds };
+}
+
+/**
+ * Record on each sliced piece which cell ids were merged into it
+ * @param {Array} pieces - Pieces from sliceImageIntoVoronoiPieces
+ * @param {Map} mergedIds - From mergeCells
+ * @returns {Array} Pieces, merged ones with a `mergedIds` array
+ */
+export function withMergedIds(pieces, mergedIds) {
+  if (!mergedIds.size) return pieces;
+  return pieces.map((piece) => (mergedIds.has(piece.id) ? { ...piece, mergedIds: mergedIds.get(piece.id) } : piece));
+}
@@ -0,0 +1,72 @@
+import { polygonCentroid } from './voronoiSlicer';
+
+export const PIVOT_MODES = [
+  { value: 'padded', label: 'Opaque pixel, padded to centre' },
+  { value: 'center', label: 'Geometric centre' },
+  { value: 'opaque', label: 'Opaque centroid' },
+  { value: 'seed', label: 'Voronoi seed point' },
+  { value: 'cell', label: 'Cell centroid' },
+  { value: 'custom', label: 'Custom point' },
+];
+
+export const DEFAULT_CUSTOM_PIVOT = { x: 0.5, y: 0.5 };
+
+function findOpaqueCentroid(canvas, alphaThreshold) {
+  const { width, height } = canvas;
+  const { data } = canvas.getContext('2d', { willReadFrequently: true }).getImageData(0, 0, width, height);
+  let sumX = 0;
+  let sumY = 0;
+  let count = 0;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (data[(y * width + x) * 4 + 3] < alphaThreshold) continue;
+      sumX += x + 0.5;
+      sumY += y + 0.5;
+      count++;
+    }
+  }
+  return count ? { x: sumX / count, y: sumY / count } : null;
+}
+
+/**
+ * Pivot of a tightly trimmed piece canvas, in piece-local pixels (top-left origin, y down).
+ * Seed and cell pivots may fall outside the canvas; a piece without a seed (re-sliced levels
+ * keep theirs, imported polygon layouts have none) uses its cell centroid.
+ * @param {Object} canvas - Trimmed piece canvas
+ * @param {Object} options - { mode, custom, site, cell, originX, originY, alphaThreshold } where custom is
+ *   a normalised { x, y }, site the cell's seed point and (originX, originY) the canvas position in the source
+ * @returns {{ mode: string, x: number, y: number }} Pivot with the mode actually used
+ */
+export function resolvePiecePivot(canvas, { mode, custom = DEFAULT_CUSTOM_PIVOT, site, cell, originX, originY, alphaThreshold = 8 }) {
+  const { width, height } = canvas;
+  if (mode === 'custom') return { mode, x: custom.x * width, y: custom.y * height };
+  if (mode === 'opaque') {
+    const centroid = findOpaqueCentroid(canvas, alphaThreshold);
+    if (centroid) return { mode, ...centroid };
+  }
+  if (mode === 'seed' && site) return { mode, x: site[0] - originX, y: site[1] - originY };
+  if (mode === 'seed' || mode === 'cell') {
+    const [cx, cy] = polygonCentroid(cell);
+    return { mode: 'cell', x: cx - originX, y: cy - originY };
+  }
+  return { mode: 'center', x: width / 2, y: height / 2 };
+}
+
+/**
+ * Manifest `pivot` block for a piece: local pixels, normalised in both image and Unity conventions,
+ * and the pivot's position in the source image
+ * @param {Object} piece - Sliced piece (pieces without a pivot use their centre)
+ * @param {number} width - Piece width in pixels
+ * @param {number} height - Piece height in pixels
+ * @returns {Object} { mode, px, normalized, unitySpritePivot, absPx }
+ */
+export function createPivotEntry(piece, width, height) {
+  const { mode, x, y } = piece.pivot ?? { mode: 'center', x: width / 2, y: height / 2 };
+  return {
+    mode,
+    px: { x, y },
+    normalized: { x: x / width, y: y / height },
+    unitySpritePivot: { x: x / width, y: 1 - y / height },
+    absPx: { x: piece.originalX + x, y: piece.originalY + y },
+  };
+}
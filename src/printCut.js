@@ -0,0 +1,394 @@
+import { createCanvas } from './voronoiSlicer';
+import { vertexKey, edgeKey, openRing } from './cellEdges';
+import { setPngDpi } from './alphaModes';
+
+// Physical puzzle output: a cut template (SVG or DXF) plus a print sheet rendered at a chosen
+// size and DPI. Both are laid out in the same sheet pixels, so they line up exactly.
+
+export const CUT_FORMATS = [
+  { value: 'svg', label: 'SVG' },
+  { value: 'dxf', label: 'DXF (R12)' },
+];
+
+export const DEFAULT_PRINT_PARAMS = {
+  widthMm: 300,
+  dpi: 300,
+  bleedMm: 3,
+  marks: true,
+  cutFormat: 'svg',
+};
+
+const MM_PER_INCH = 25.4;
+// Room around the bleed for registration targets and crop marks
+const MARK_MARGIN_MM = 10;
+// Largest canvas side most browsers will allocate
+const MAX_SHEET_PX = 16384;
+// Vertices closer than this (source px) to a segment count as lying on it
+const EPSILON = 0.01;
+const GRID_PX = 16;
+
+/**
+ * Sheet geometry shared by the print sheet and the cut template, in sheet pixels at the chosen DPI
+ * @param {number} width - Source width in px
+ * @param {number} height - Source height in px
+ * @param {Object} params - { widthMm, dpi, bleedMm, marks } where widthMm is the trimmed puzzle width
+ * @returns {Object} { dpi, pxPerMm, scale, bleed, trim: { x, y, width, height }, sheetWidth, sheetHeight, marks }
+ */
+export function computePrintLayout(width, height, { widthMm, dpi, bleedMm = 0, marks = true }) {
+  if (!(widthMm > 0) || !(dpi > 0)) throw new Error('Print width and DPI must be positive');
+  const pxPerMm = dpi / MM_PER_INCH;
+  // Whole sheet pixels across the trim, so the raster edge falls exactly on the cut
+  const trimWidth = Math.max(1, Math.round(widthMm * pxPerMm));
+  const scale = trimWidth / width;
+  const bleed = Math.max(0, Math.round(bleedMm * pxPerMm));
+  const margin = marks ? Math.round(MARK_MARGIN_MM * pxPerMm) : 0;
+  const offset = margin + bleed;
+  const trim = { x: offset, y: offset, width: trimWidth, height: height * scale };
+  const sheetWidth = trimWidth + 2 * offset;
+  const sheetHeight = Math.ceil(trim.height) + 2 * offset;
+
+  if (sheetWidth > MAX_SHEET_PX || sheetHeight > MAX_SHEET_PX) {
+    throw new Error(
+      `Print sheet would be ${sheetWidth}×${sheetHeight}px; lower the print width or DPI (max ${MAX_SHEET_PX}px a side)`
+    );
+  }
+
+  let markGeometry = null;
+  if (marks) {
+    // Targets centred in each corner of the margin; crop marks continue the trim lines into it
+    const targets = [
+      [margin / 2, margin / 2],
+      [sheetWidth - margin / 2, margin / 2],
+      [margin / 2, sheetHeight - margin / 2],
+      [sheetWidth - margin / 2, sheetHeight - margin / 2],
+    ];
+    const right = trim.x + trim.width;
+    const bottom = trim.y + trim.height;
+    const gap = margin * 0.1;
+    const crops = [
+      [[trim.x, gap], [trim.x, margin - gap]],
+      [[right, gap], [right, margin - gap]],
+      [[trim.x, sheetHeight - margin + gap], [trim.x, sheetHeight - gap]],
+      [[right, sheetHeight - margin + gap], [right, sheetHeight - gap]],
+      [[gap, trim.y], [margin - gap, trim.y]],
+      [[gap, bottom], [margin - gap, bottom]],
+      [[sheetWidth - margin + gap, trim.y], [sheetWidth - gap, trim.y]],
+      [[sheetWidth - margin + gap, bottom], [sheetWidth - gap, bottom]],
+    ];
+    markGeometry = { targets, radius: margin * 0.3, crops };
+  }
+
+  return { dpi, pxPerMm, scale, bleed, trim, sheetWidth, sheetHeight, marks: markGeometry };
+}
+
+// Split every segment at vertices of other outlines lying on it, so partially shared
+// edges (re-sliced sub-cells, merged pieces) break into fragments that match exactly.
+function splitAtJunctions(segments) {
+  const grid = new Map();
+  const cellKey = (gx, gy) => `${gx},${gy}`;
+  segments.forEach(([a, b]) => {
+    [a, b].forEach((p) => {
+      const key = cellKey(Math.floor(p[0] / GRID_PX), Math.floor(p[1] / GRID_PX));
+      const bucket = grid.get(key) || [];
+      bucket.push(p);
+      grid.set(key, bucket);
+    });
+  });
+
+  const out = [];
+  segments.forEach(([a, b]) => {
+    const dx = b[0] - a[0];
+    const dy = b[1] - a[1];
+    const length = Math.hypot(dx, dy);
+    const inner = new Map();
+    const [minX, maxX] = [Math.min(a[0], b[0]) - EPSILON, Math.max(a[0], b[0]) + EPSILON];
+    const [minY, maxY] = [Math.min(a[1], b[1]) - EPSILON, Math.max(a[1], b[1]) + EPSILON];
+    for (let gx = Math.floor(minX / GRID_PX); gx <= Math.floor(maxX / GRID_PX); gx++) {
+      for (let gy = Math.floor(minY / GRID_PX); gy <= Math.floor(maxY / GRID_PX); gy++) {
+        (grid.get(cellKey(gx, gy)) || []).forEach((p) => {
+          const along = ((p[0] - a[0]) * dx + (p[1] - a[1]) * dy) / length;
+          if (along <= EPSILON || along >= length - EPSILON) return;
+          const off = Math.abs((p[0] - a[0]) * dy - (p[1] - a[1]) * dx) / length;
+          if (off <= EPSILON) inner.set(vertexKey(p), [along, p]);
+        });
+      }
+    }
+    let from = a;
+    [...inner.values()]
+      .sort((u, v) => u[0] - v[0])
+      .forEach(([, p]) => {
+        out.push([from, p]);
+        from = p;
+      });
+    out.push([from, b]);
+  });
+  return out;
+}
+
+/**
+ * Every cut in the puzzle exactly once, chained into as few strokes as possible.
+ * Uses the piece outlines the slicer cut with, so jigsaw tabs follow the same sampled curve.
+ * @param {Array} pieces - Pieces from sliceImageIntoVoronoiPieces
+ * @returns {Array<{ points: Array, closed: boolean }>} Polylines in source pixels
+ */
+export function collectCutPaths(pieces) {
+  const segments = [];
+  pieces.forEach((piece) => {
+    const ring = openRing(piece.cell);
+    ring.forEach((a, k) => {
+      const b = ring[(k + 1) % ring.length];
+      if (vertexKey(a) !== vertexKey(b)) segments.push([a, b]);
+    });
+  });
+
+  // A shared edge shows up once per neighbour; keep one copy
+  const unique = new Map();
+  splitAtJunctions(segments).forEach(([a, b]) => {
+    const key = edgeKey(a, b);
+    if (!unique.has(key) && vertexKey(a) !== vertexKey(b)) unique.set(key, [a, b]);
+  });
+  const edges = [...unique.values()];
+
+  const byVertex = new Map();
+  edges.forEach(([a, b], index) => {
+    [a, b].forEach((p) => {
+      const key = vertexKey(p);
+      const list = byVertex.get(key) || [];
+      list.push(index);
+      byVertex.set(key, list);
+    });
+  });
+
+  const used = new Uint8Array(edges.length);
+  // Follow unused edges from a vertex, returning the points walked (excluding the start)
+  const walk = (start) => {
+    const points = [];
+    let at = start;
+    for (;;) {
+      const next = (byVertex.get(vertexKey(at)) || []).find((index) => !used[index]);
+      if (next === undefined) return points;
+      used[next] = 1;
+      const [a, b] = edges[next];
+      at = vertexKey(a) === vertexKey(at) ? b : a;
+      points.push(at);
+    }
+  };
+
+  const paths = [];
+  edges.forEach(([a, b], index) => {
+    if (used[index]) return;
+    used[index] = 1;
+    const forward = walk(b);
+    const backward = walk(a);
+    const points = [...backward.reverse(), a, b, ...forward];
+    const closed = points.length > 3 && vertexKey(points[0]) === vertexKey(points[points.length - 1]);
+    paths.push({ points: closed ? points.slice(0, -1) : points, closed });
+  });
+  return paths;
+}
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+function toSheet(layout) {
+  const { trim, scale } = layout;
+  return ([x, y]) => [trim.x + x * scale, trim.y + y * scale];
+}
+
+/**
+ * Cut template as SVG: red hairline cuts and black registration marks in one sheet-sized document
+ * @param {Array} paths - From collectCutPaths
+ * @param {Object} layout - From computePrintLayout
+ * @returns {string} SVG document; user units are sheet pixels, width / height are in mm
+ */
+export function createCutSvg(paths, layout) {
+  const { sheetWidth, sheetHeight, pxPerMm, marks } = layout;
+  const place = toSheet(layout);
+  const pathData = paths.map(({ points, closed }) => {
+    const d = points
+      .map(place)
+      .map(([x, y], i) => `${i ? 'L' : 'M'}${round(x)} ${round(y)}`)
+      .join(' ');
+    return `    <path d="${d}${closed ? ' Z' : ''}"/>`;
+  });
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${round(sheetWidth / pxPerMm)}mm" height="${round(
+      sheetHeight / pxPerMm
+    )}mm" viewBox="0 0 ${sheetWidth} ${sheetHeight}">`,
+    `  <g id="cut" fill="none" stroke="#ff0000" stroke-width="${round(0.01 * pxPerMm)}">`,
+    ...pathData,
+    '  </g>',
+  ];
+  if (marks) {
+    lines.push(`  <g id="registration" fill="none" stroke="#000000" stroke-width="${round(0.25 * pxPerMm)}">`);
+    marks.targets.forEach(([cx, cy]) => {
+      const r = marks.radius;
+      lines.push(
+        `    <circle cx="${round(cx)}" cy="${round(cy)}" r="${round(r)}"/>`,
+        `    <path d="M${round(cx - r * 1.3)} ${round(cy)} H${round(cx + r * 1.3)} M${round(cx)} ${round(
+          cy - r * 1.3
+        )} V${round(cy + r * 1.3)}"/>`
+      );
+    });
+    marks.crops.forEach(([[x1, y1], [x2, y2]]) => {
+      lines.push(`    <line x1="${round(x1)}" y1="${round(y1)}" x2="${round(x2)}" y2="${round(y2)}"/>`);
+    });
+    lines.push('  </g>');
+  }
+  lines.push('</svg>', '');
+  return lines.join('\n');
+}
+
+/**
+ * Cut template as ASCII DXF (R12) in millimetres, y up, origin at the sheet's bottom-left.
+ * Cuts are POLYLINEs on layer CUT, registration marks sit on layer REGISTRATION.
+ * @param {Array} paths - From collectCutPaths
+ * @param {Object} layout - From computePrintLayout
+ * @returns {string} DXF document
+ */
+export function createCutDxf(paths, layout) {
+  const { sheetHeight, pxPerMm, marks } = layout;
+  const place = toSheet(layout);
+  const mm = ([x, y]) => [round(x / pxPerMm), round((sheetHeight - y) / pxPerMm)];
+  const out = [];
+  const write = (...pairs) => {
+    for (let i = 0; i < pairs.length; i += 2) out.push(String(pairs[i]), String(pairs[i + 1]));
+  };
+
+  write(0, 'SECTION', 2, 'HEADER', 9, '$ACADVER', 1, 'AC1009', 9, '$INSUNITS', 70, 4, 0, 'ENDSEC');
+  write(0, 'SECTION', 2, 'TABLES', 0, 'TABLE', 2, 'LAYER', 70, 2);
+  write(0, 'LAYER', 2, 'CUT', 70, 0, 62, 1, 6, 'CONTINUOUS');
+  write(0, 'LAYER', 2, 'REGISTRATION', 70, 0, 62, 7, 6, 'CONTINUOUS');
+  write(0, 'ENDTAB', 0, 'ENDSEC');
+
+  write(0, 'SECTION', 2, 'ENTITIES');
+  paths.forEach(({ points, closed }) => {
+    write(0, 'POLYLINE', 8, 'CUT', 66, 1, 10, 0, 20, 0, 30, 0, 70, closed ? 1 : 0);
+    points.forEach((point) => {
+      const [x, y] = mm(place(point));
+      write(0, 'VERTEX', 8, 'CUT', 10, x, 20, y, 30, 0);
+    });
+    write(0, 'SEQEND', 8, 'CUT');
+  });
+  if (marks) {
+    const line = (from, to) => {
+      const [x1, y1] = mm(from);
+      const [x2, y2] = mm(to);
+      write(0, 'LINE', 8, 'REGISTRATION', 10, x1, 20, y1, 30, 0, 11, x2, 21, y2, 31, 0);
+    };
+    marks.targets.forEach(([cx, cy]) => {
+      const r = marks.radius;
+      const [x, y] = mm([cx, cy]);
+      write(0, 'CIRCLE', 8, 'REGISTRATION', 10, x, 20, y, 30, 0, 40, round(r / pxPerMm));
+      line([cx - r * 1.3, cy], [cx + r * 1.3, cy]);
+      line([cx, cy - r * 1.3], [cx, cy + r * 1.3]);
+    });
+    marks.crops.forEach(([from, to]) => line(from, to));
+  }
+  write(0, 'ENDSEC', 0, 'EOF');
+  return `${out.join('\n')}\n`;
+}
+
+/**
+ * Render the source at print size on white, with edge pixels stretched into the bleed
+ * and the same registration marks as the cut template
+ * @param {HTMLImageElement|HTMLCanvasElement} source - Trimmed source image
+ * @param {Object} layout - From computePrintLayout
+ * @returns {HTMLCanvasElement} Sheet canvas of sheetWidth × sheetHeight
+ */
+export function renderPrintSheet(source, layout) {
+  const { sheetWidth, sheetHeight, trim, bleed, pxPerMm, marks } = layout;
+  const canvas = createCanvas(sheetWidth, sheetHeight);
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, sheetWidth, sheetHeight);
+
+  const { x, y, width, height } = trim;
+  const sw = source.width;
+  const sh = source.height;
+  if (bleed > 0) {
+    // Unsmoothed, or the 1px edge strips would blend with the transparent pixels around them
+    ctx.imageSmoothingEnabled = false;
+    ctx.drawImage(source, 0, 0, 1, sh, x - bleed, y, bleed, height);
+    ctx.drawImage(source, sw - 1, 0, 1, sh, x + width, y, bleed, height);
+    ctx.drawImage(source, 0, 0, sw, 1, x, y - bleed, width, bleed);
+    ctx.drawImage(source, 0, sh - 1, sw, 1, x, y + height, width, bleed);
+    ctx.drawImage(source, 0, 0, 1, 1, x - bleed, y - bleed, bleed, bleed);
+    ctx.drawImage(source, sw - 1, 0, 1, 1, x + width, y - bleed, bleed, bleed);
+    ctx.drawImage(source, 0, sh - 1, 1, 1, x - bleed, y + height, bleed, bleed);
+    ctx.drawImage(source, sw - 1, sh - 1, 1, 1, x + width, y + height, bleed, bleed);
+  }
+  ctx.imageSmoothingEnabled = true;
+  ctx.imageSmoothingQuality = 'high';
+  ctx.drawImage(source, x, y, width, height);
+
+  if (marks) {
+    ctx.strokeStyle = '#000000';
+    ctx.lineWidth = Math.max(1, 0.25 * pxPerMm);
+    ctx.beginPath();
+    marks.targets.forEach(([cx, cy]) => {
+      const r = marks.radius;
+      ctx.moveTo(cx + r, cy);
+      ctx.arc(cx, cy, r, 0, Math.PI * 2);
+      ctx.moveTo(cx - r * 1.3, cy);
+      ctx.lineTo(cx + r * 1.3, cy);
+      ctx.moveTo(cx, cy - r * 1.3);
+      ctx.lineTo(cx, cy + r * 1.3);
+    });
+    marks.crops.forEach(([[x1, y1], [x2, y2]]) => {
+      ctx.moveTo(x1, y1);
+      ctx.lineTo(x2, y2);
+    });
+    ctx.stroke();
+  }
+  return canvas;
+}
+
+/**
+ * Write the print sheet PNG and cut template into a zip folder
+ * @param {JSZip} folder - Target zip folder
+ * @param {string} baseName - Export base name
+ * @param {Array} pieces - Exported pieces, whose outlines become the cuts
+ * @param {Object} print - { source, widthMm, dpi, bleedMm, marks, cutFormat }
+ * @param {Function} encodePng - canvas => PNG data (Blob, Buffer or Uint8Array)
+ * @returns {Promise<Object>} Manifest `print` block
+ */
+export async function addPrintFiles(folder, baseName, pieces, print, encodePng) {
+  const { source, widthMm, dpi, bleedMm, marks, cutFormat = 'svg' } = print;
+  const layout = computePrintLayout(source.width, source.height, { widthMm, dpi, bleedMm, marks });
+  const paths = collectCutPaths(pieces);
+
+  const cutFile = `${baseName}-cut.${cutFormat}`;
+  folder.file(cutFile, cutFormat === 'dxf' ? createCutDxf(paths, layout) : createCutSvg(paths, layout));
+
+  const sheetFile = `${baseName}-print.png`;
+  const encoded = await encodePng(renderPrintSheet(source, layout));
+  const png = encoded instanceof Uint8Array ? encoded : new Uint8Array(await encoded.arrayBuffer());
+  folder.file(sheetFile, setPngDpi(png, dpi));
+
+  const toMm = (px) => round(px / layout.pxPerMm);
+  return {
+    dpi,
+    widthMm: toMm(layout.trim.width),
+    heightMm: toMm(layout.trim.height),
+    bleedMm: toMm(layout.bleed),
+    registrationMarks: Boolean(marks),
+    sheet: {
+      file: sheetFile,
+      widthPx: layout.sheetWidth,
+      heightPx: layout.sheetHeight,
+      widthMm: toMm(layout.sheetWidth),
+      heightMm: toMm(layout.sheetHeight),
+    },
+    trimRectPx: { x: layout.trim.x, y: layout.trim.y, width: layout.trim.width, height: round(layout.trim.height) },
+    sourceToSheetScale: layout.scale,
+    mapping: 'sheetPx = trimRectPx.x / y + sourcePx * sourceToSheetScale',
+    cutTemplate: {
+      file: cutFile,
+      format: cutFormat,
+      units: cutFormat === 'dxf' ? 'mm, y up from the sheet bottom-left' : 'sheet px (document size in mm)',
+      pathCount: paths.length,
+    },
+  };
+}
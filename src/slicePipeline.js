@@ -0,0 +1,216 @@
+import {
+  createVoronoi,
+  createCellsFromPolygons,
+  relaxVoronoiPoints,
+  selectGeneratedPoints,
+  createSeededRandom,
+  extractCells,
+  sliceImageIntoVoronoiPieces,
+} from './voronoiSlicer';
+import { createJigsawCells } from './jigsawCuts';
+import { createEdgeSnappedCells, computeDetailMap } from './contentAware';
+import { generateSlicerPoints, isRandomSlicer } from './slicers';
+import { mergeCells } from './pieceMerging';
+import { buildHierarchyCells } from './hierarchy';
+import { DEFAULT_CUSTOM_PIVOT } from './piecePivots';
+
+export function getSnapRadiusPx(width, height) {
+  return Math.max(3, Math.round(Math.min(width, height) / 100));
+}
+
+/**
+ * Build the cell layout for a set of slicer settings: sites, Voronoi diagram and cut modifiers.
+ * Shared by the React app and the headless CLI so both cut identical pieces.
+ * @param {Object} settings - Slicer settings (numPieces, seed, relaxIterations, slicerType, slicerParams,
+ *   manualPoints, excludedSeeds, detailStrength, snapToEdges, cutStyle, tabSize, alphaThreshold)
+ * @param {Object} context - { width, height, imageData, getDetailMap, importedLayout }
+ * @returns {{ points: Array, voronoi: Object, numCells: number, pointSources: Array }} Layout ready for slicing
+ */
+export function buildSliceLayout(settings, context) {
+  const {
+    numPieces,
+    seed,
+    relaxIterations = 0,
+    slicerType = 'voronoi',
+    slicerParams = {},
+    manualPoints = [],
+    excludedSeeds = [],
+    detailStrength = 0,
+    snapToEdges = false,
+    cutStyle = 'straight',
+    tabSize = 1,
+    alphaThreshold = 8,
+  } = settings;
+  const { width, height, imageData = null, getDetailMap = () => null, importedLayout = null } = context;
+
+  let points;
+  let voronoi;
+  let numCells;
+  let pointSources;
+
+  if (importedLayout?.polygons) {
+    // Older manifests without points: rebuild cells from the exported polygons
+    voronoi = createCellsFromPolygons(importedLayout.polygons);
+    points = [];
+    numCells = voronoi.numCells;
+    pointSources = [];
+  } else if (importedLayout?.points) {
+    points = importedLayout.points;
+    voronoi = createVoronoi(points, width, height);
+    numCells = points.length;
+    pointSources = points.map((_, i) => ({ imported: i }));
+  } else {
+    // Grid and hex slicers use a fixed lattice: no manual seeds, no relaxation
+    const randomSites = isRandomSlicer(slicerType);
+    const manual = randomSites ? manualPoints : [];
+    const excluded = randomSites ? excludedSeeds : [];
+
+    // Manual seeds are kept as-is; only the remaining pieces are generated
+    const total = Math.max(numPieces, manual.length);
+    const generatedCount = total - manual.length;
+    const candidateCount = generatedCount + excluded.length;
+
+    // Generate Voronoi points (seeded so the same seed reproduces the same layout)
+    const random = createSeededRandom(seed);
+    const candidates = generateSlicerPoints(slicerType, slicerParams[slicerType], {
+      width,
+      height,
+      count: candidateCount,
+      random,
+      imageData,
+      alphaThreshold,
+      detailMap: detailStrength > 0 ? getDetailMap() : null,
+      detailStrength,
+    });
+    const generated = selectGeneratedPoints(
+      candidates,
+      excluded,
+      randomSites ? generatedCount : candidates.length
+    );
+    const initialPoints = [...manual, ...generated.points];
+    points = randomSites
+      ? relaxVoronoiPoints(initialPoints, width, height, relaxIterations, imageData, alphaThreshold, manual.length)
+      : initialPoints;
+    voronoi = createVoronoi(points, width, height);
+    numCells = points.length;
+    pointSources = [
+      ...manual.map((_, i) => ({ manual: i })),
+      ...generated.indices.map((i) => ({ generated: i })),
+    ];
+  }
+
+  // Bend interior borders onto strong image edges
+  if (snapToEdges && !importedLayout?.polygons) {
+    const detailMap = getDetailMap();
+    if (detailMap) {
+      voronoi = createEdgeSnappedCells(voronoi, numCells, detailMap, {
+        width,
+        height,
+        radius: getSnapRadiusPx(width, height),
+      });
+    }
+  }
+
+  // Jigsaw tabs replace each shared interior edge on both neighbouring cells
+  if (cutStyle === 'jigsaw' && !importedLayout?.polygons) {
+    voronoi = createJigsawCells(voronoi, numCells, { seed, tabSize });
+  }
+
+  return { points, voronoi, numCells, pointSources };
+}
+
+/**
+ * Turn a layout into the cells one slice job cuts: merge groups and size rules are applied
+ * to the layout's cells, then re-sliced levels ride along with ids after the root cells.
+ * @param {Object} voronoi - Cell source from buildSliceLayout
+ * @param {number} numCells - Number of cells in the layout
+ * @param {Object} settings - Slicer settings (mergeGroups, minOpaqueArea, minCellArea, minOpaqueRatio,
+ *   subdivisions, seed, alphaThreshold)
+ * @param {ImageData} [imageData] - Source pixels, needed for the opaque-area rules
+ * @param {Array} [points] - The layout's seed points, kept on each cell for seed-point pivots
+ * @returns {{ cells: Array, tree: Map|null, totalCells: number, mergedIds: Map }} Cells for the slicer,
+ *   the re-slice tree and the ids merged into each surviving cell
+ */
+export function buildSliceCells(voronoi, numCells, settings, imageData = null, points = null) {
+  const {
+    mergeGroups = [],
+    minOpaqueArea = 0,
+    minCellArea = 0,
+    minOpaqueRatio = 0,
+    subdivisions = [],
+    seed,
+    alphaThreshold = 8,
+  } = settings;
+
+  const merged = mergeCells(extractCells(voronoi, numCells, points), {
+    mergeGroups,
+    minOpaqueArea,
+    minCellArea,
+    minOpaqueRatio,
+    imageData,
+    alphaThreshold,
+  });
+  let { cells } = merged;
+  let tree = null;
+  if (subdivisions.length) {
+    ({ cells, tree } = buildHierarchyCells(cells, subdivisions, seed));
+  }
+  const totalCells = cells.reduce((max, cell) => Math.max(max, cell.id + 1), 0);
+  return { cells, tree, totalCells, mergedIds: merged.mergedIds };
+}
+
+/**
+ * Options for sliceImageIntoVoronoiPieces (or the slice worker) from slicer settings
+ * @param {Object} settings - Slicer settings (alphaThreshold, bleed, splitIslands, minIslandArea, pivotMode, customPivot)
+ * @returns {Object} Slice options
+ */
+export function getSliceOptions(settings) {
+  const {
+    alphaThreshold = 8,
+    bleed = 0,
+    splitIslands = false,
+    minIslandArea = 64,
+    pivotMode = 'padded',
+    customPivot = DEFAULT_CUSTOM_PIVOT,
+  } = settings;
+  return {
+    alphaThreshold,
+    includeOutline: true,
+    bleed,
+    splitIslands,
+    minIslandPx: minIslandArea,
+    pivotMode,
+    customPivot,
+  };
+}
+
+/**
+ * Layout, cells and pieces for one slice in a single call, so the whole job can run in the slice worker
+ * @param {Object} image - Source image, ImageBitmap or canvas
+ * @param {Object} settings - Slicer settings as taken by buildSliceLayout, buildSliceCells and getSliceOptions
+ * @param {Object} context - { imageData, importedLayout }; the detail map is built from imageData when needed
+ * @param {Object} [options] - Extra sliceImageIntoVoronoiPieces options (layers, onProgress)
+ * @returns {{ points: Array, pointSources: Array, tree: Map|null, mergedIds: Map, pieces: Array }} The layout
+ *   details the preview keeps, and the pieces
+ */
+export function sliceWithLayout(image, settings, { imageData = null, importedLayout = null }, options = {}) {
+  let detailMap = null;
+  const getDetailMap = () => {
+    if (!detailMap && imageData) detailMap = computeDetailMap(imageData, settings.detailMetric, settings.alphaThreshold);
+    return detailMap;
+  };
+  const { width, height } = image;
+  const { points, voronoi, numCells, pointSources } = buildSliceLayout(settings, {
+    width,
+    height,
+    imageData,
+    getDetailMap,
+    importedLayout,
+  });
+  const { cells, tree, totalCells, mergedIds } = buildSliceCells(voronoi, numCells, settings, imageData, points);
+  const pieces = sliceImageIntoVoronoiPieces(image, createCellsFromPolygons(cells), totalCells, {
+    ...getSliceOptions(settings),
+    ...options,
+  });
+  return { points, pointSources, tree, mergedIds, pieces };
+}
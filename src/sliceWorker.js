@@ -0,0 +1,38 @@
+import { sliceWithLayout } from './slicePipeline';
+
+// Runs whole slice jobs off the main thread on OffscreenCanvas: layout, merges, re-sliced levels
+// and pieces, from settings and the source ImageData.
+// Pieces (and their companion layers) come back as ImageBitmaps so their pixels are transferred, not copied.
+self.onmessage = (event) => {
+  const { id, bitmap, layout, options } = event.data;
+  const layers = options.layers ?? [];
+  try {
+    let lastReport = 0;
+    const { pieces, ...layoutResult } = sliceWithLayout(bitmap, layout.settings, layout, {
+      ...options,
+      onProgress: (done, total) => {
+        const now = Date.now();
+        if (done === total || now - lastReport > 50) {
+          lastReport = now;
+          self.postMessage({ id, type: 'progress', done, total });
+        }
+      },
+    });
+    bitmap.close();
+    layers.forEach((layer) => layer.image.close());
+
+    const results = pieces.map(({ canvas, layers: pieceLayers, ...piece }) => ({
+      ...piece,
+      bitmap: canvas.transferToImageBitmap(),
+      ...(pieceLayers && {
+        layers: pieceLayers.map((layer) => ({ name: layer.name, bitmap: layer.canvas.transferToImageBitmap() })),
+      }),
+    }));
+    self.postMessage(
+      { id, type: 'done', pieces: results, layout: layoutResult },
+      results.flatMap((piece) => [piece.bitmap, ...(piece.layers ?? []).map((layer) => layer.bitmap)])
+    );
+  } catch (err) {
+    self.postMessage({ id, type: 'error', message: err.message || String(err) });
+  }
+};
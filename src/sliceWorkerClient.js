@@ -0,0 +1,136 @@
+import { sliceWithLayout } from './slicePipeline';
+
+export class SliceCancelledError extends Error {
+  constructor() {
+    super('Slicing cancelled');
+    this.name = 'SliceCancelledError';
+  }
+}
+
+function bitmapToCanvas(bitmap) {
+  const canvas = document.createElement('canvas');
+  canvas.width = bitmap.width;
+  canvas.height = bitmap.height;
+  canvas.getContext('2d').drawImage(bitmap, 0, 0);
+  bitmap.close();
+  return canvas;
+}
+
+function supportsWorkerSlicing() {
+  return (
+    typeof Worker !== 'undefined' &&
+    typeof OffscreenCanvas !== 'undefined' &&
+    typeof createImageBitmap === 'function'
+  );
+}
+
+/**
+ * Create a client that slices in a Web Worker, one job at a time.
+ * Starting a new job (or calling cancel) terminates the running one.
+ * Falls back to the main thread where OffscreenCanvas is unavailable.
+ * @returns {{ sliceLayout: Function, cancel: Function, dispose: Function }}
+ */
+export function createSliceWorkerClient() {
+  let worker = null;
+  let current = null;
+  let nextId = 1;
+
+  const rejectCurrent = () => {
+    if (!current) return;
+    current.reject(new SliceCancelledError());
+    current = null;
+  };
+
+  const cancel = () => {
+    if (!current) return;
+    // A busy worker cannot be interrupted mid-loop; terminating it is the only way.
+    if (worker) {
+      worker.terminate();
+      worker = null;
+    }
+    rejectCurrent();
+  };
+
+  const getWorker = () => {
+    if (worker) return worker;
+    worker = new Worker(new URL('./sliceWorker.js', import.meta.url), { type: 'module' });
+    worker.onmessage = (event) => {
+      const { id, type } = event.data;
+      if (!current || current.id !== id) return;
+      if (type === 'progress') {
+        current.onProgress?.(event.data.done, event.data.total);
+      } else if (type === 'done') {
+        const pieces = event.data.pieces.map(({ bitmap, layers, ...piece }) => ({
+          ...piece,
+          canvas: bitmapToCanvas(bitmap),
+          ...(layers && {
+            layers: layers.map((layer) => ({ name: layer.name, canvas: bitmapToCanvas(layer.bitmap) })),
+          }),
+        }));
+        current.resolve({ ...event.data.layout, pieces });
+        current = null;
+      } else if (type === 'error') {
+        current.reject(new Error(event.data.message));
+        current = null;
+      }
+    };
+    worker.onerror = (event) => {
+      if (!current) return;
+      current.reject(new Error(event.message || 'Slice worker failed'));
+      current = null;
+    };
+    return worker;
+  };
+
+  const run = async (image, layout, options, onProgress) => {
+    cancel();
+
+    const id = nextId++;
+    const promise = new Promise((resolve, reject) => {
+      current = { id, resolve, reject, onProgress };
+    });
+    // Avoid an unhandled-rejection warning if cancelled before it is returned.
+    promise.catch(() => {});
+    const bitmap = await createImageBitmap(image);
+    const layers = await Promise.all(
+      (options.layers ?? []).map(async (layer) => ({ name: layer.name, image: await createImageBitmap(layer.image) }))
+    );
+    if (!current || current.id !== id) {
+      bitmap.close();
+      layers.forEach((layer) => layer.image.close());
+      return promise;
+    }
+    getWorker().postMessage(
+      { id, bitmap, layout, options: { ...options, layers } },
+      [bitmap, ...layers.map((layer) => layer.image)]
+    );
+    return promise;
+  };
+
+  /**
+   * Build the layout, cells and pieces in the worker, so relaxation, detail maps, edge snapping,
+   * jigsaw tabs and opaque-area merges stay off the main thread
+   * @param {HTMLImageElement} image - Source image
+   * @param {Object} layout - { settings, imageData, importedLayout } as sliceWithLayout takes them
+   * @param {Object} options - Extra slice options ({ layers })
+   * @param {(done: number, total: number) => void} [onProgress] - Progress callback
+   * @returns {Promise<Object>} { points, pointSources, tree, mergedIds, pieces } from sliceWithLayout
+   */
+  const sliceLayout = async (image, layout, options, onProgress) => {
+    if (!supportsWorkerSlicing()) {
+      cancel();
+      return sliceWithLayout(image, layout.settings, layout, { ...options, onProgress });
+    }
+    return run(image, layout, options, onProgress);
+  };
+
+  const dispose = () => {
+    cancel();
+    if (worker) {
+      worker.terminate();
+      worker = null;
+    }
+  };
+
+  return { sliceLayout, cancel, dispose };
+}
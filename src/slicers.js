@@ -0,0 +1,150 @@
+import { generateVoronoiPoints, generateVoronoiPointsFromAlpha } from './voronoiSlicer';
+import { generateContentAwarePoints } from './contentAware';
+
+export const SLICER_TYPES = [
+  { value: 'voronoi', label: 'Voronoi (random)' },
+  { value: 'grid', label: 'Rectangular grid' },
+  { value: 'hex', label: 'Hexagonal grid' },
+  { value: 'shatter', label: 'Radial shatter' },
+];
+
+export const DEFAULT_SLICER_PARAMS = {
+  grid: { columns: 5, rows: 4 },
+  hex: { columns: 6 },
+  shatter: { impact: { x: 0.5, y: 0.5 }, falloff: 2 },
+};
+
+/**
+ * Sites for a rectangular grid; their Voronoi cells are exactly the grid rectangles
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @param {number} columns - Number of columns
+ * @param {number} rows - Number of rows
+ * @returns {Array} Array of [x, y] points
+ */
+export function generateGridPoints(width, height, columns, rows) {
+  const points = [];
+  const cellW = width / columns;
+  const cellH = height / rows;
+  for (let r = 0; r < rows; r++) {
+    for (let c = 0; c < columns; c++) {
+      points.push([(c + 0.5) * cellW, (r + 0.5) * cellH]);
+    }
+  }
+  return points;
+}
+
+/**
+ * Sites on a triangular lattice; their Voronoi cells are pointy-top hexagons
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @param {number} columns - Number of hexagons across
+ * @returns {Array} Array of [x, y] points
+ */
+export function generateHexPoints(width, height, columns) {
+  const points = [];
+  const dx = width / columns;
+  const dy = (dx * Math.sqrt(3)) / 2;
+  for (let r = 0, y = dy / 2; y < height; r++, y += dy) {
+    const offset = r % 2 === 1 ? dx / 2 : 0;
+    for (let x = dx / 2 + offset; x < width; x += dx) {
+      points.push([x, y]);
+    }
+  }
+  return points;
+}
+
+/**
+ * Sites clustered around an impact point and sparser outward ("impact" shatter)
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @param {number} numPoints - Number of sites
+ * @param {{ x: number, y: number }} impact - Impact point in pixels
+ * @param {number} falloff - >1 packs sites closer to the impact
+ * @param {() => number} random - PRNG returning floats in [0, 1)
+ * @param {ImageData} [imageData] - Optional alpha mask; sites prefer opaque pixels
+ * @param {number} [alphaThreshold] - Minimum alpha treated as opaque
+ * @returns {Array} Array of [x, y] points
+ */
+export function generateShatterPoints(width, height, numPoints, impact, falloff, random, imageData = null, alphaThreshold = 8) {
+  const maxRadius = Math.max(
+    Math.hypot(impact.x, impact.y),
+    Math.hypot(width - impact.x, impact.y),
+    Math.hypot(impact.x, height - impact.y),
+    Math.hypot(width - impact.x, height - impact.y)
+  );
+  const isUsable = (x, y) => {
+    if (x < 0 || y < 0 || x >= width || y >= height) return false;
+    if (!imageData) return true;
+    const idx = (Math.floor(y) * imageData.width + Math.floor(x)) * 4 + 3;
+    return imageData.data[idx] >= alphaThreshold;
+  };
+
+  const points = [];
+  for (let i = 0; i < numPoints; i++) {
+    let point = null;
+    for (let t = 0; t < 200 && !point; t++) {
+      const radius = maxRadius * Math.pow(random(), falloff);
+      const angle = random() * Math.PI * 2;
+      const x = impact.x + Math.cos(angle) * radius;
+      const y = impact.y + Math.sin(angle) * radius;
+      if (isUsable(x, y)) point = [x, y];
+    }
+    points.push(point || [random() * width, random() * height]);
+  }
+  return points;
+}
+
+/**
+ * Whether a slicer produces random sites (editable, relaxable) or a fixed lattice
+ * @param {string} type - Slicer type
+ * @returns {boolean}
+ */
+export function isRandomSlicer(type) {
+  return type === 'voronoi' || type === 'shatter';
+}
+
+/**
+ * Generate sites for the selected slicer; every slicer feeds the same Voronoi pipeline
+ * @param {string} type - One of SLICER_TYPES
+ * @param {Object} params - Parameters of that slicer (see DEFAULT_SLICER_PARAMS)
+ * @param {Object} context - { width, height, count, random, imageData, alphaThreshold, detailMap, detailStrength }
+ * @returns {Array} Array of [x, y] points
+ */
+export function generateSlicerPoints(type, params, context) {
+  const {
+    width,
+    height,
+    count,
+    random,
+    imageData = null,
+    alphaThreshold = 8,
+    detailMap = null,
+    detailStrength = 0,
+  } = context;
+  switch (type) {
+    case 'grid':
+      return generateGridPoints(width, height, params.columns, params.rows);
+    case 'hex':
+      return generateHexPoints(width, height, params.columns);
+    case 'shatter':
+      return generateShatterPoints(
+        width,
+        height,
+        count,
+        { x: params.impact.x * width, y: params.impact.y * height },
+        params.falloff,
+        random,
+        imageData,
+        alphaThreshold
+      );
+    case 'voronoi':
+    default:
+      if (imageData && detailMap && detailStrength > 0) {
+        return generateContentAwarePoints(imageData, detailMap, count, detailStrength, random, alphaThreshold);
+      }
+      return imageData
+        ? generateVoronoiPointsFromAlpha(imageData, width, height, count, alphaThreshold, random)
+        : generateVoronoiPoints(width, height, count, random);
+  }
+}
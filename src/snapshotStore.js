@@ -0,0 +1,102 @@
+// Named layout snapshots kept in IndexedDB so they survive reloads.
+// A snapshot holds the layout state, the resolved points and the source file itself.
+
+const DB_NAME = 'nutty-image-slicer';
+const STORE_NAME = 'snapshots';
+// Source file blobs live apart from the snapshot records, keyed by snapshot id, so listing never reads them
+const SOURCE_STORE_NAME = 'snapshotSources';
+
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('This browser has no IndexedDB, so snapshots cannot be saved'));
+      return;
+    }
+    const request = indexedDB.open(DB_NAME, 2);
+    request.onupgradeneeded = (event) => {
+      const db = request.result;
+      if (event.oldVersion < 1) db.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+      if (event.oldVersion < 2) {
+        const sources = db.createObjectStore(SOURCE_STORE_NAME, { keyPath: 'id' });
+        // Version 1 kept the blob inside each snapshot record; move it out
+        request.transaction.objectStore(STORE_NAME).openCursor().onsuccess = (e) => {
+          const cursor = e.target.result;
+          if (!cursor) return;
+          const { blob, ...source } = cursor.value.source;
+          sources.put({ id: cursor.value.id, blob });
+          cursor.update({ ...cursor.value, source });
+          cursor.continue();
+        };
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Run one transaction over both stores; `run` queues its requests and returns a getter for the result,
+// read once the transaction commits
+async function runTransaction(mode, run) {
+  const db = await openDatabase();
+  try {
+    return await new Promise((resolve, reject) => {
+      const transaction = db.transaction([STORE_NAME, SOURCE_STORE_NAME], mode);
+      const getResult = run(transaction);
+      transaction.oncomplete = () => resolve(getResult());
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('Snapshot storage was aborted'));
+    });
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * All saved snapshots, oldest first, without their source file blobs
+ * @returns {Promise<Array>} { id, name, createdAt, source: { name, type, width, height, trimmed }, pieceCount }
+ */
+export async function listSnapshots() {
+  const records = await runTransaction('readonly', (transaction) => {
+    const request = transaction.objectStore(STORE_NAME).getAll();
+    return () => request.result;
+  });
+  return records.map(({ state, points, ...snapshot }) => snapshot);
+}
+
+/**
+ * Save a snapshot
+ * @param {Object} snapshot - { name, state, points, pieceCount, source: { name, type, width, height, trimmed, blob } }
+ * @returns {Promise<number>} New snapshot id
+ */
+export function saveSnapshot({ source: { blob, ...source }, ...snapshot }) {
+  return runTransaction('readwrite', (transaction) => {
+    const request = transaction
+      .objectStore(STORE_NAME)
+      .add({ ...snapshot, source, createdAt: new Date().toISOString() });
+    request.onsuccess = () => transaction.objectStore(SOURCE_STORE_NAME).put({ id: request.result, blob });
+    return () => request.result;
+  });
+}
+
+/**
+ * Load one snapshot including its source file
+ * @param {number} id - Snapshot id
+ * @returns {Promise<Object>} The stored snapshot, with the blob back in `source`
+ */
+export async function loadSnapshot(id) {
+  const snapshot = await runTransaction('readonly', (transaction) => {
+    const record = transaction.objectStore(STORE_NAME).get(id);
+    const source = transaction.objectStore(SOURCE_STORE_NAME).get(id);
+    return () => record.result && { ...record.result, source: { ...record.result.source, blob: source.result?.blob } };
+  });
+  if (!snapshot) throw new Error(`Snapshot ${id} no longer exists`);
+  return snapshot;
+}
+
+export function deleteSnapshot(id) {
+  return runTransaction('readwrite', (transaction) => {
+    transaction.objectStore(STORE_NAME).delete(id);
+    transaction.objectStore(SOURCE_STORE_NAME).delete(id);
+    return () => undefined;
+  });
+}
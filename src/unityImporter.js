@@ -0,0 +1,212 @@
+export const UNITY_IMPORT_TARGETS = [
+  { value: 'world', label: 'World (SpriteRenderer)' },
+  { value: 'ugui', label: 'UGUI (RectTransform + Image)' },
+];
+
+export const UNITY_IMPORTER_PATH = 'Editor/NuttySliceImporter.cs';
+
+/**
+ * Generate the Unity editor script that applies a -slice-positioner.json manifest.
+ * It follows the manifest's unity / ugui placement formulas, so keep the two in step.
+ * @param {Object} options - { target } where target is 'world' or 'ugui' (the default menu action)
+ * @returns {string} C# source for Editor/NuttySliceImporter.cs
+ */
+export function createUnityImporterScript({ target = 'world' } = {}) {
+  return `// Generated by Nutty Image Slicer.
+// Select an exported *-slice-positioner.json in the Project window, then use
+// Assets > Nutty Slice > Import Slice. Piece PNGs (or atlas sheets) must sit next to the manifest.
+using System.Collections.Generic;
+using System.IO;
+using System.Linq;
+using UnityEditor;
+using UnityEngine;
+using UnityEngine.UI;
+
+public static class NuttySliceImporter
+{
+    const string DefaultTarget = "${target}";
+
+    [System.Serializable] class Vec { public float x; public float y; }
+    [System.Serializable] class Size { public float width; public float height; }
+    [System.Serializable] class PxRect { public float x; public float y; public float width; public float height; }
+    [System.Serializable] class PieceAtlas { public string file; public PxRect rectPx; public bool rotated; }
+    [System.Serializable] class Pivot { public string mode; public Vec unitySpritePivot; }
+    [System.Serializable] class Piece
+    {
+        public int id;
+        public string file;
+        public Pivot pivot;
+        public Vec unityWorldPosition;
+        public Vec uguiAnchoredPositionPx;
+        public Size uguiSizePx;
+        public PieceAtlas atlas;
+    }
+    [System.Serializable] class Source { public string fileBaseName; public float width; public float height; }
+    [System.Serializable] class UnityBlock { public float pixelsPerUnit; }
+    [System.Serializable] class Sheet { public string file; public int width; public int height; }
+    [System.Serializable] class AtlasBlock { public Sheet[] sheets; }
+    [System.Serializable] class Manifest
+    {
+        public Source source;
+        public UnityBlock unity;
+        public AtlasBlock atlas;
+        public Piece[] pieces;
+    }
+
+    [MenuItem("Assets/Nutty Slice/Import Slice")]
+    static void ImportDefault() => Import(DefaultTarget);
+
+    [MenuItem("Assets/Nutty Slice/Import Slice (World)")]
+    static void ImportWorld() => Import("world");
+
+    [MenuItem("Assets/Nutty Slice/Import Slice (UGUI)")]
+    static void ImportUgui() => Import("ugui");
+
+    [MenuItem("Assets/Nutty Slice/Import Slice", true)]
+    [MenuItem("Assets/Nutty Slice/Import Slice (World)", true)]
+    [MenuItem("Assets/Nutty Slice/Import Slice (UGUI)", true)]
+    static bool CanImport()
+    {
+        var path = AssetDatabase.GetAssetPath(Selection.activeObject);
+        return path.EndsWith("-slice-positioner.json");
+    }
+
+    static void Import(string target)
+    {
+        var manifestPath = AssetDatabase.GetAssetPath(Selection.activeObject);
+        var folder = Path.GetDirectoryName(manifestPath).Replace('\\\\', '/');
+        var manifest = JsonUtility.FromJson<Manifest>(File.ReadAllText(manifestPath));
+        var ppu = manifest.unity.pixelsPerUnit > 0 ? manifest.unity.pixelsPerUnit : 100f;
+
+        var sprites = LoadSprites(manifest, folder, ppu);
+        var rootName = string.IsNullOrEmpty(manifest.source.fileBaseName) ? "Sliced" : manifest.source.fileBaseName;
+        var root = target == "ugui" ? BuildUgui(manifest, sprites, rootName) : BuildWorld(manifest, sprites, rootName);
+        Undo.RegisterCreatedObjectUndo(root, "Import Nutty Slice");
+        Selection.activeGameObject = root;
+    }
+
+    static Dictionary<int, Sprite> LoadSprites(Manifest manifest, string folder, float ppu)
+    {
+        var sprites = new Dictionary<int, Sprite>();
+        var atlased = manifest.pieces.Where(p => p.atlas != null && !string.IsNullOrEmpty(p.atlas.file)).ToArray();
+
+        foreach (var piece in manifest.pieces.Except(atlased))
+        {
+            var path = folder + "/" + piece.file;
+            ConfigureImporter(path, ppu, SpritePivot(piece), null);
+            sprites[piece.id] = AssetDatabase.LoadAssetAtPath<Sprite>(path);
+        }
+
+        foreach (var group in atlased.GroupBy(p => p.atlas.file))
+        {
+            var path = folder + "/" + group.Key;
+            var sheet = manifest.atlas.sheets.First(s => s.file == group.Key);
+            var metas = new List<SpriteMetaData>();
+            foreach (var piece in group)
+            {
+                if (piece.atlas.rotated)
+                {
+                    Debug.LogWarning($"Nutty Slice: piece {piece.id} is rotated in the atlas; re-export without atlas rotation to import it.");
+                    continue;
+                }
+                var r = piece.atlas.rectPx;
+                metas.Add(new SpriteMetaData
+                {
+                    name = "piece_" + piece.id,
+                    // Atlas rects are top-left origin; Unity sprite rects are bottom-left.
+                    rect = new Rect(r.x, sheet.height - r.y - r.height, r.width, r.height),
+                    alignment = (int)SpriteAlignment.Custom,
+                    pivot = SpritePivot(piece),
+                });
+            }
+            ConfigureImporter(path, ppu, new Vector2(0.5f, 0.5f), metas.ToArray());
+            var byName = AssetDatabase.LoadAllAssetsAtPath(path).OfType<Sprite>().ToDictionary(s => s.name);
+            foreach (var piece in group)
+            {
+                if (byName.TryGetValue("piece_" + piece.id, out var sprite)) sprites[piece.id] = sprite;
+            }
+        }
+        return sprites;
+    }
+
+    // pivot.unitySpritePivot is normalised with a bottom-left origin, as Unity expects
+    static Vector2 SpritePivot(Piece piece) => new Vector2(piece.pivot.unitySpritePivot.x, piece.pivot.unitySpritePivot.y);
+
+    static void ConfigureImporter(string path, float ppu, Vector2 pivot, SpriteMetaData[] sheet)
+    {
+        var importer = AssetImporter.GetAtPath(path) as TextureImporter;
+        if (importer == null)
+        {
+            Debug.LogWarning("Nutty Slice: missing texture " + path);
+            return;
+        }
+        importer.textureType = TextureImporterType.Sprite;
+        importer.spriteImportMode = sheet == null ? SpriteImportMode.Single : SpriteImportMode.Multiple;
+        importer.alphaIsTransparency = true;
+        importer.mipmapEnabled = false;
+
+        var settings = new TextureImporterSettings();
+        importer.ReadTextureSettings(settings);
+        settings.spriteAlignment = (int)SpriteAlignment.Custom;
+        settings.spritePivot = pivot;
+        settings.spritePixelsPerUnit = ppu;
+        importer.SetTextureSettings(settings);
+        if (sheet != null) importer.spritesheet = sheet;
+        importer.SaveAndReimport();
+    }
+
+    // unity.placement.formula: world = ((pivot.absPx.x - source.width/2) / ppu, (source.height/2 - pivot.absPx.y) / ppu)
+    static GameObject BuildWorld(Manifest manifest, Dictionary<int, Sprite> sprites, string rootName)
+    {
+        var root = new GameObject(rootName);
+        foreach (var piece in manifest.pieces)
+        {
+            var go = new GameObject("piece_" + piece.id);
+            go.transform.SetParent(root.transform, false);
+            go.transform.localPosition = new Vector3(piece.unityWorldPosition.x, piece.unityWorldPosition.y, 0f);
+            var renderer = go.AddComponent<SpriteRenderer>();
+            if (sprites.TryGetValue(piece.id, out var sprite)) renderer.sprite = sprite;
+        }
+        return root;
+    }
+
+    // ugui.placement.pieceRect.formula: anchored = (pivot.absPx.x - source.width/2, source.height/2 - pivot.absPx.y)
+    static GameObject BuildUgui(Manifest manifest, Dictionary<int, Sprite> sprites, string rootName)
+    {
+        var canvas = Object.FindObjectOfType<Canvas>();
+        if (canvas == null)
+        {
+            var canvasGo = new GameObject("Canvas", typeof(Canvas), typeof(CanvasScaler), typeof(GraphicRaycaster));
+            canvas = canvasGo.GetComponent<Canvas>();
+            canvas.renderMode = RenderMode.ScreenSpaceOverlay;
+            canvasGo.GetComponent<CanvasScaler>().uiScaleMode = CanvasScaler.ScaleMode.ConstantPixelSize;
+            Undo.RegisterCreatedObjectUndo(canvasGo, "Create Canvas");
+        }
+
+        var root = new GameObject(rootName, typeof(RectTransform));
+        var rootRect = root.GetComponent<RectTransform>();
+        rootRect.SetParent(canvas.transform, false);
+        CenterRect(rootRect);
+        rootRect.sizeDelta = new Vector2(manifest.source.width, manifest.source.height);
+
+        foreach (var piece in manifest.pieces)
+        {
+            var go = new GameObject("piece_" + piece.id, typeof(RectTransform), typeof(Image));
+            var rect = go.GetComponent<RectTransform>();
+            rect.SetParent(rootRect, false);
+            CenterRect(rect);
+            rect.pivot = SpritePivot(piece);
+            rect.anchoredPosition = new Vector2(piece.uguiAnchoredPositionPx.x, piece.uguiAnchoredPositionPx.y);
+            rect.sizeDelta = new Vector2(piece.uguiSizePx.width, piece.uguiSizePx.height);
+            if (sprites.TryGetValue(piece.id, out var sprite)) go.GetComponent<Image>().sprite = sprite;
+        }
+        return root;
+    }
+
+    static void CenterRect(RectTransform rect)
+    {
+        rect.anchorMin = rect.anchorMax = rect.pivot = new Vector2(0.5f, 0.5f);
+    }
+}
+`;
+}
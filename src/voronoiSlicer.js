@@ -1,9 +1,33 @@
 import { Delaunay } from 'd3-delaunay';
+import { splitOpaqueIslands } from './opaqueIslands';
+import { resolvePiecePivot, DEFAULT_CUSTOM_PIVOT } from './piecePivots';
+
+let canvasFactory = null;
+
+/**
+ * Inject how canvases are created (e.g. @napi-rs/canvas in the Node CLI).
+ * Pass null to go back to the DOM / OffscreenCanvas default.
+ * @param {((width: number, height: number) => Object)|null} factory - Canvas factory
+ */
+export function setCanvasFactory(factory) {
+  canvasFactory = factory;
+}
+
+// Works on the main thread (DOM canvas), inside a Web Worker (OffscreenCanvas)
+// and anywhere else a factory has been injected.
+export function createCanvas(width, height) {
+  if (canvasFactory) return canvasFactory(width, height);
+  if (typeof document !== 'undefined') {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+  }
+  return new OffscreenCanvas(width, height);
+}
 
 export function getImagePixelData(image) {
-  const canvas = document.createElement('canvas');
-  canvas.width = image.width;
-  canvas.height = image.height;
+  const canvas = createCanvas(image.width, image.height);
   const ctx = canvas.getContext('2d', { willReadFrequently: true });
   ctx.clearRect(0, 0, canvas.width, canvas.height);
   ctx.drawImage(image, 0, 0);
@@ -11,60 +35,7 @@ export function getImagePixelData(image) {
   return imageData;
 }
 
-export function trimImageToOpaqueBounds(image, alphaThreshold = 8) {
-  const canvas = document.createElement('canvas');
-  canvas.width = image.width;
-  canvas.height = image.height;
-  const ctx = canvas.getContext('2d');
-  ctx.drawImage(image, 0, 0);
-  const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-
-  let minX = canvas.width;
-  let minY = canvas.height;
-  let maxX = -1;
-  let maxY = -1;
-
-  for (let y = 0; y < canvas.height; y++) {
-    for (let x = 0; x < canvas.width; x++) {
-      const idx = (y * canvas.width + x) * 4 + 3;
-      if (imageData.data[idx] >= alphaThreshold) {
-        minX = Math.min(minX, x);
-        minY = Math.min(minY, y);
-        maxX = Math.max(maxX, x);
-        maxY = Math.max(maxY, y);
-      }
-    }
-  }
-
-  if (maxX < 0 || maxY < 0) {
-    return { needsTrim: false };
-  }
-
-  const width = maxX - minX + 1;
-  const height = maxY - minY + 1;
-  const trimmedCanvas = document.createElement('canvas');
-  trimmedCanvas.width = width;
-  trimmedCanvas.height = height;
-  trimmedCanvas.getContext('2d').drawImage(
-    image,
-    minX,
-    minY,
-    width,
-    height,
-    0,
-    0,
-    width,
-    height
-  );
-
-  return {
-    needsTrim: true,
-    dataUrl: trimmedCanvas.toDataURL(),
-    offset: { x: minX, y: minY },
-  };
-}
-
-function trimCanvasToOpaqueBounds(sourceCanvas, alphaThreshold = 8) {
+export function trimCanvasToOpaqueBounds(sourceCanvas, alphaThreshold = 8) {
   const width = sourceCanvas.width;
   const height = sourceCanvas.height;
   const ctx = sourceCanvas.getContext('2d', { willReadFrequently: true });
@@ -94,9 +65,7 @@ function trimCanvasToOpaqueBounds(sourceCanvas, alphaThreshold = 8) {
   const trimmedW = maxX - minX + 1;
   const trimmedH = maxY - minY + 1;
 
-  const trimmedCanvas = document.createElement('canvas');
-  trimmedCanvas.width = trimmedW;
-  trimmedCanvas.height = trimmedH;
+  const trimmedCanvas = createCanvas(trimmedW, trimmedH);
   trimmedCanvas
     .getContext('2d')
     .drawImage(sourceCanvas, minX, minY, trimmedW, trimmedH, 0, 0, trimmedW, trimmedH);
@@ -108,6 +77,13 @@ function trimCanvasToOpaqueBounds(sourceCanvas, alphaThreshold = 8) {
   };
 }
 
+// Same as trimCanvasToOpaqueBounds, for a decoded image
+export function trimImageToOpaqueBounds(image, alphaThreshold = 8) {
+  const canvas = createCanvas(image.width, image.height);
+  canvas.getContext('2d', { willReadFrequently: true }).drawImage(image, 0, 0);
+  return trimCanvasToOpaqueBounds(canvas, alphaThreshold);
+}
+
 function findOpaquePivotInCanvas(sourceCanvas, alphaThreshold = 8) {
   const width = sourceCanvas.width;
   const height = sourceCanvas.height;
@@ -181,13 +157,54 @@ function recenterCanvasSoPointIsCenter(sourceCanvas, pointX, pointY) {
     return { canvas: sourceCanvas, offset: { x: 0, y: 0 } };
   }
 
-  const outCanvas = document.createElement('canvas');
-  outCanvas.width = outW;
-  outCanvas.height = outH;
+  const outCanvas = createCanvas(outW, outH);
   outCanvas.getContext('2d').drawImage(sourceCanvas, offsetX, offsetY);
   return { canvas: outCanvas, offset: { x: offsetX, y: offsetY } };
 }
 
+// Redraw a companion layer canvas the way its piece canvas was trimmed or padded
+function reframeCanvas(sourceCanvas, width, height, offsetX, offsetY) {
+  const outCanvas = createCanvas(width, height);
+  outCanvas.getContext('2d').drawImage(sourceCanvas, offsetX, offsetY);
+  return outCanvas;
+}
+
+// Cut one cell (grown by bleedPx) out of an image into a canvas of the cell's bounds
+function cutCellCanvas(image, localCell, minX, minY, width, height, bleedPx) {
+  const canvas = createCanvas(width, height);
+  const ctx = canvas.getContext('2d');
+
+  // Create clipping path for this cell
+  ctx.beginPath();
+  localCell.forEach(([x, y], idx) => {
+    if (idx === 0) {
+      ctx.moveTo(x, y);
+    } else {
+      ctx.lineTo(x, y);
+    }
+  });
+  ctx.closePath();
+  if (bleedPx > 0) {
+    // Grow the clip by stroking the outline: round joins give an even band of bleedPx
+    ctx.lineJoin = 'round';
+    ctx.lineWidth = bleedPx * 2;
+    ctx.fill();
+    ctx.stroke();
+    ctx.globalCompositeOperation = 'source-in';
+  } else {
+    ctx.clip();
+  }
+
+  // Draw the portion of the image
+  ctx.drawImage(
+    image,
+    minX, minY, width, height,  // Source rectangle
+    0, 0, width, height          // Destination rectangle
+  );
+  ctx.globalCompositeOperation = 'source-over';
+  return canvas;
+}
+
 function isOpaqueAt(imageData, x, y, alphaThreshold) {
   const ix = Math.max(0, Math.min(imageData.width - 1, Math.floor(x)));
   const iy = Math.max(0, Math.min(imageData.height - 1, Math.floor(y)));
@@ -195,16 +212,16 @@ function isOpaqueAt(imageData, x, y, alphaThreshold) {
   return imageData.data[idx] >= alphaThreshold;
 }
 
-function pickRandomOpaquePoint(imageData, width, height, alphaThreshold, maxTries = 200) {
+function pickRandomOpaquePoint(imageData, width, height, alphaThreshold, random, maxTries = 200) {
   for (let t = 0; t < maxTries; t++) {
-    const x = Math.random() * width;
-    const y = Math.random() * height;
+    const x = random() * width;
+    const y = random() * height;
     if (isOpaqueAt(imageData, x, y, alphaThreshold)) return [x, y];
   }
-  return [Math.random() * width, Math.random() * height];
+  return [random() * width, random() * height];
 }
 
-function polygonArea(cell) {
+export function polygonArea(cell) {
   if (!cell || cell.length < 3) return 0;
   let area = 0;
   for (let i = 0; i < cell.length; i++) {
@@ -215,19 +232,67 @@ function polygonArea(cell) {
   return Math.abs(area) / 2;
 }
 
+export function polygonCentroid(cell) {
+  let area2 = 0;
+  let cx = 0;
+  let cy = 0;
+  for (let i = 0; i < cell.length; i++) {
+    const [x1, y1] = cell[i];
+    const [x2, y2] = cell[(i + 1) % cell.length];
+    const cross = x1 * y2 - x2 * y1;
+    area2 += cross;
+    cx += (x1 + x2) * cross;
+    cy += (y1 + y2) * cross;
+  }
+  if (Math.abs(area2) < 1e-9) {
+    // Degenerate cell: fall back to the vertex average.
+    const n = cell.length || 1;
+    return [
+      cell.reduce((sum, [x]) => sum + x, 0) / n,
+      cell.reduce((sum, [, y]) => sum + y, 0) / n,
+    ];
+  }
+  return [cx / (3 * area2), cy / (3 * area2)];
+}
+
+/**
+ * Create a deterministic PRNG (mulberry32) from a 32-bit integer seed.
+ * @param {number} seed - Integer seed
+ * @returns {() => number} Function returning floats in [0, 1)
+ */
+export function createSeededRandom(seed) {
+  let state = (Number(seed) >>> 0) || 0;
+  return function random() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Pick a fresh random seed for the seed input.
+ * @returns {number} Unsigned 32-bit integer
+ */
+export function randomSeed() {
+  return Math.floor(Math.random() * 4294967296);
+}
+
 /**
  * Generate random Voronoi diagram points
  * @param {number} width - Canvas width
  * @param {number} height - Canvas height
  * @param {number} numPoints - Number of Voronoi cells (puzzle pieces)
+ * @param {() => number} random - PRNG returning floats in [0, 1)
  * @returns {Array} Array of [x, y] points
  */
-export function generateVoronoiPoints(width, height, numPoints) {
+export function generateVoronoiPoints(width, height, numPoints, random = Math.random) {
   const points = [];
   for (let i = 0; i < numPoints; i++) {
     points.push([
-      Math.random() * width,
-      Math.random() * height
+      random() * width,
+      random() * height
     ]);
   }
   return points;
@@ -237,14 +302,34 @@ export function generateVoronoiPoints(width, height, numPoints) {
  * Generate random Voronoi points biased to the opaque pixels of an RGBA image.
  * Falls back to uniform random if no opaque pixels are found quickly.
  */
-export function generateVoronoiPointsFromAlpha(imageData, width, height, numPoints, alphaThreshold = 8) {
+export function generateVoronoiPointsFromAlpha(imageData, width, height, numPoints, alphaThreshold = 8, random = Math.random) {
   const points = [];
   for (let i = 0; i < numPoints; i++) {
-    points.push(pickRandomOpaquePoint(imageData, width, height, alphaThreshold));
+    points.push(pickRandomOpaquePoint(imageData, width, height, alphaThreshold, random));
   }
   return points;
 }
 
+/**
+ * Pick generated points that have not been excluded by manual edits.
+ * Candidates come from a seeded generator, so index i is stable across piece counts.
+ * @param {Array} candidates - Generated [x, y] points
+ * @param {Array<number>} excludedIndices - Candidate indices replaced or deleted by the user
+ * @param {number} count - Number of generated points to keep
+ * @returns {{ points: Array, indices: Array<number> }} Kept points and their candidate indices
+ */
+export function selectGeneratedPoints(candidates, excludedIndices, count) {
+  const excluded = new Set(excludedIndices);
+  const points = [];
+  const indices = [];
+  for (let i = 0; i < candidates.length && points.length < count; i++) {
+    if (excluded.has(i)) continue;
+    points.push(candidates[i]);
+    indices.push(i);
+  }
+  return { points, indices };
+}
+
 /**
  * Create Voronoi diagram from points
  * @param {Array} points - Array of [x, y] points
@@ -257,26 +342,152 @@ export function createVoronoi(points, width, height) {
   return delaunay.voronoi([0, 0, width, height]);
 }
 
+/**
+ * Build a Voronoi-like cell source from explicit polygons (e.g. an imported manifest)
+ * @param {Array} polygons - Array of { id, polygon, bezier?, site? } where polygon is an array of [x, y]
+ *   and site the cell's seed point
+ * @returns {{ cellPolygon: Function, cellBezier: Function, cellSite: Function, numCells: number }} Object usable by sliceImageIntoVoronoiPieces
+ */
+export function createCellsFromPolygons(polygons) {
+  const byId = new Map();
+  const beziersById = new Map();
+  const sitesById = new Map();
+  let numCells = 0;
+  polygons.forEach(({ id, polygon, bezier, site }) => {
+    byId.set(id, polygon.map(([x, y]) => [x, y]));
+    if (bezier) beziersById.set(id, bezier);
+    if (site) sitesById.set(id, [site[0], site[1]]);
+    numCells = Math.max(numCells, id + 1);
+  });
+  return {
+    numCells,
+    cellPolygon: (i) => byId.get(i) || null,
+    cellBezier: (i) => beziersById.get(i) || null,
+    cellSite: (i) => sitesById.get(i) || null,
+  };
+}
+
+/**
+ * Flatten a cell source into plain data (e.g. to post it to a Web Worker)
+ * @param {{ cellPolygon: Function, cellBezier?: Function }} voronoi - Cell source
+ * @param {number} numCells - Number of cells
+ * @param {Array} [points] - Seed point per cell id, recorded as each cell's `site`
+ * @returns {Array} Array of { id, polygon, bezier, site } accepted by createCellsFromPolygons
+ */
+export function extractCells(voronoi, numCells, points = null) {
+  const cells = [];
+  for (let i = 0; i < numCells; i++) {
+    const cell = voronoi.cellPolygon(i);
+    if (!cell) continue;
+    cells.push({
+      id: i,
+      polygon: Array.from(cell, ([x, y]) => [x, y]),
+      bezier: voronoi.cellBezier ? voronoi.cellBezier(i) : null,
+      site: points?.[i] ?? null,
+    });
+  }
+  return cells;
+}
+
+/**
+ * Relax points towards their cell centroids (Lloyd's algorithm) for evenly sized cells.
+ * When imageData is given, centroids are weighted by opaque pixels so cells stay on the sprite.
+ * @param {Array} points - Array of [x, y] points
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @param {number} iterations - Number of relaxation passes
+ * @param {ImageData} [imageData] - Optional alpha mask source
+ * @param {number} [alphaThreshold] - Minimum alpha treated as opaque
+ * @param {number} [pinnedCount] - Leading points that stay where they are (manually placed seeds)
+ * @returns {Array} Relaxed array of [x, y] points
+ */
+export function relaxVoronoiPoints(points, width, height, iterations, imageData = null, alphaThreshold = 8, pinnedCount = 0) {
+  let current = points.map(([x, y]) => [x, y]);
+  if (!iterations || current.length < 2) return current;
+
+  // Sample on a coarse grid for large images; ~250k samples per pass is plenty.
+  const step = Math.max(1, Math.ceil(Math.sqrt((width * height) / 250000)));
+
+  for (let iter = 0; iter < iterations; iter++) {
+    const voronoi = createVoronoi(current, width, height);
+    const { delaunay } = voronoi;
+    const next = [];
+
+    if (imageData) {
+      const sumX = new Float64Array(current.length);
+      const sumY = new Float64Array(current.length);
+      const count = new Uint32Array(current.length);
+      let hint = 0;
+
+      for (let y = step / 2; y < height; y += step) {
+        for (let x = step / 2; x < width; x += step) {
+          if (!isOpaqueAt(imageData, x, y, alphaThreshold)) continue;
+          hint = delaunay.find(x, y, hint);
+          sumX[hint] += x;
+          sumY[hint] += y;
+          count[hint]++;
+        }
+      }
+
+      for (let i = 0; i < current.length; i++) {
+        if (i < pinnedCount) {
+          next.push(current[i]);
+        } else if (count[i] > 0) {
+          next.push([sumX[i] / count[i], sumY[i] / count[i]]);
+        } else {
+          const cell = voronoi.cellPolygon(i);
+          next.push(cell ? polygonCentroid(cell) : current[i]);
+        }
+      }
+    } else {
+      for (let i = 0; i < current.length; i++) {
+        const cell = i < pinnedCount ? null : voronoi.cellPolygon(i);
+        next.push(cell ? polygonCentroid(cell) : current[i]);
+      }
+    }
+
+    current = next;
+  }
+
+  return current;
+}
+
 /**
  * Slice image into Voronoi pieces
  * @param {HTMLImageElement} image - Source image
  * @param {Delaunay.Voronoi} voronoi - Voronoi diagram
  * @param {number} numCells - Number of cells
+ * @param {Object} options - { alphaThreshold, includeOutline, pivotMode, customPivot, bleed, splitIslands, minIslandPx, layers, onProgress }
+ *   where bleed grows each cell by that many pixels of neighbouring image so seams overlap,
+ *   splitIslands cuts a cell covering disconnected opaque islands into one piece per island
+ *   (islands under minIslandPx opaque pixels stay with the nearest one), and pivotMode (see PIVOT_MODES)
+ *   picks each piece's `pivot`: 'padded' pads the PNG so an opaque pixel sits at its centre, the others
+ *   keep the PNG trimmed tight and only record the point. layers ([{ name, image }], same size as the
+ *   image) are cut with the same cells, trim and padding, all driven by the image's alpha; each piece
+ *   then carries `layers` as [{ name, canvas }] matching its own canvas pixel for pixel
  * @returns {Array} Array of puzzle piece data
  */
 export function sliceImageIntoVoronoiPieces(image, voronoi, numCells, options = {}) {
   const {
     alphaThreshold = 8,
-    minOpaqueRatio = 0.01,
     includeOutline = true,
-    recenterPivotToOpaque = true,
+    pivotMode = 'padded',
+    customPivot = DEFAULT_CUSTOM_PIVOT,
+    bleed = 0,
+    splitIslands = false,
+    minIslandPx = 64,
+    layers = [],
+    onProgress = null,
   } = options;
+  const bleedPx = Math.max(0, Math.ceil(bleed));
 
   const pieces = [];
+  let nextIslandId = numCells;
   
   for (let i = 0; i < numCells; i++) {
     const cell = voronoi.cellPolygon(i);
     if (!cell) continue;
+    const bezier = voronoi.cellBezier ? voronoi.cellBezier(i) : null;
     
     // Get bounds of this cell
     let minX = Infinity, minY = Infinity;
@@ -288,78 +499,96 @@ export function sliceImageIntoVoronoiPieces(image, voronoi, numCells, options =
       maxX = Math.max(maxX, x);
       maxY = Math.max(maxY, y);
     });
+    minX -= bleedPx;
+    minY -= bleedPx;
+    maxX += bleedPx;
+    maxY += bleedPx;
     
     const width = Math.max(1, Math.ceil(maxX - minX));
     const height = Math.max(1, Math.ceil(maxY - minY));
     
-    // Create a canvas for this piece
-    const canvas = document.createElement('canvas');
-    canvas.width = width;
-    canvas.height = height;
-    const ctx = canvas.getContext('2d');
-    
     // Translate cell coordinates to be relative to piece bounds
     const localCell = cell.map(([x, y]) => [x - minX, y - minY]);
-    
-    // Create clipping path for this cell
-    ctx.beginPath();
-    localCell.forEach(([x, y], idx) => {
-      if (idx === 0) {
-        ctx.moveTo(x, y);
-      } else {
-        ctx.lineTo(x, y);
+
+    // Create a canvas for this piece, and one per companion layer with the same clip
+    const canvas = cutCellCanvas(image, localCell, minX, minY, width, height, bleedPx);
+    const layerCanvases = layers.map((layer) => cutCellCanvas(layer.image, localCell, minX, minY, width, height, bleedPx));
+
+    // One piece per opaque island when splitting; extra islands take ids after the last cell
+    const parts = splitIslands
+      ? splitOpaqueIslands(canvas, alphaThreshold, minIslandPx, layerCanvases)
+      : [{ canvas, layers: layerCanvases }];
+    parts.forEach((part, k) => {
+      // Fix for "edge" pieces with lots of transparent/negative space:
+      // 1) trim transparent borders
+      // 2) in 'padded' mode, shift/pad so the *sprite center* lands on an opaque pixel
+      // This keeps center-pivot workflows usable in engines like Unity; the other
+      // pivot modes keep the tight PNG and record the pivot instead.
+      let finalCanvas = part.canvas;
+      let finalLayers = part.layers;
+      let finalX = minX;
+      let finalY = minY;
+
+      const trimmed = trimCanvasToOpaqueBounds(finalCanvas, alphaThreshold);
+      if (trimmed.needsTrim) {
+        finalCanvas = trimmed.canvas;
+        finalLayers = finalLayers.map((layer) =>
+          reframeCanvas(layer, finalCanvas.width, finalCanvas.height, -trimmed.offset.x, -trimmed.offset.y)
+        );
+        finalX += trimmed.offset.x;
+        finalY += trimmed.offset.y;
       }
-    });
-    ctx.closePath();
-    ctx.clip();
-    
-    // Draw the portion of the image
-    ctx.drawImage(
-      image,
-      minX, minY, width, height,  // Source rectangle
-      0, 0, width, height          // Destination rectangle
-    );
-
-    // Fix for "edge" pieces with lots of transparent/negative space:
-    // 1) trim transparent borders
-    // 2) shift/pad so the *sprite center* lands on an opaque pixel
-    // This keeps center-pivot workflows usable in engines like Unity.
-    let finalCanvas = canvas;
-    let finalX = minX;
-    let finalY = minY;
-
-    const trimmed = trimCanvasToOpaqueBounds(finalCanvas, alphaThreshold);
-    if (trimmed.needsTrim) {
-      finalCanvas = trimmed.canvas;
-      finalX += trimmed.offset.x;
-      finalY += trimmed.offset.y;
-    }
 
-    if (recenterPivotToOpaque) {
-      const pivot = findOpaquePivotInCanvas(finalCanvas, alphaThreshold);
-      if (pivot.hasOpaque) {
-        const recentered = recenterCanvasSoPointIsCenter(finalCanvas, pivot.x, pivot.y);
-        finalCanvas = recentered.canvas;
-        // If we draw the old canvas at (offsetX, offsetY), the new (0,0)
-        // corresponds to source shifted by (-offsetX, -offsetY).
-        finalX -= recentered.offset.x;
-        finalY -= recentered.offset.y;
+      let pivot;
+      if (pivotMode === 'padded') {
+        const opaquePivot = findOpaquePivotInCanvas(finalCanvas, alphaThreshold);
+        if (opaquePivot.hasOpaque) {
+          const recentered = recenterCanvasSoPointIsCenter(finalCanvas, opaquePivot.x, opaquePivot.y);
+          if (recentered.canvas !== finalCanvas) {
+            finalLayers = finalLayers.map((layer) =>
+              reframeCanvas(layer, recentered.canvas.width, recentered.canvas.height, recentered.offset.x, recentered.offset.y)
+            );
+          }
+          finalCanvas = recentered.canvas;
+          // If we draw the old canvas at (offsetX, offsetY), the new (0,0)
+          // corresponds to source shifted by (-offsetX, -offsetY).
+          finalX -= recentered.offset.x;
+          finalY -= recentered.offset.y;
+        }
+        pivot = { mode: 'padded', x: finalCanvas.width / 2, y: finalCanvas.height / 2 };
+      } else {
+        pivot = resolvePiecePivot(finalCanvas, {
+          mode: pivotMode,
+          custom: customPivot,
+          site: voronoi.cellSite ? voronoi.cellSite(i) : null,
+          cell,
+          originX: finalX,
+          originY: finalY,
+          alphaThreshold,
+        });
       }
-    }
 
-    // NOTE:
-    // We intentionally do not discard pieces based on transparency.
-    // This guarantees that no visible parts of the sprite are lost due to filtering.
-    
-    pieces.push({
-      id: i,
-      canvas: finalCanvas,
-      originalX: finalX,
-      originalY: finalY,
-      width: finalCanvas.width,
-      height: finalCanvas.height,
-      cell: cell
+      // NOTE:
+      // Pieces are never discarded here. Size rules merge small cells into a
+      // neighbour before slicing (see mergeCells), so no visible pixels are lost.
+
+      pieces.push({
+        id: k === 0 ? i : nextIslandId++,
+        canvas: finalCanvas,
+        originalX: finalX,
+        originalY: finalY,
+        width: finalCanvas.width,
+        height: finalCanvas.height,
+        pivot,
+        ...(layers.length > 0 && { layers: layers.map(({ name }, n) => ({ name, canvas: finalLayers[n] })) }),
+        cell: cell,
+        bezier,
+        bleed: bleedPx,
+        ...(parts.length > 1 && { island: { cellId: i, index: k, count: parts.length } }),
+      });
     });
+
+    if (onProgress) onProgress(i + 1, numCells);
   }
   
   return pieces;
@@ -394,6 +623,124 @@ export function drawPieces(ctx, pieces, options = {}) {
   });
 }
 
+/**
+ * Render pieces at their source positions onto one canvas cropped to their combined bounds
+ * @param {Array} pieces - Array of puzzle pieces
+ * @returns {{ canvas: Object, x: number, y: number }} Canvas and its top-left in image pixels
+ */
+export function composePieces(pieces) {
+  const minX = Math.floor(Math.min(...pieces.map((p) => p.originalX)));
+  const minY = Math.floor(Math.min(...pieces.map((p) => p.originalY)));
+  const maxX = Math.ceil(Math.max(...pieces.map((p) => p.originalX + p.canvas.width)));
+  const maxY = Math.ceil(Math.max(...pieces.map((p) => p.originalY + p.canvas.height)));
+  const canvas = createCanvas(Math.max(1, maxX - minX), Math.max(1, maxY - minY));
+  const ctx = canvas.getContext('2d');
+  pieces.forEach((piece) => ctx.drawImage(piece.canvas, piece.originalX - minX, piece.originalY - minY));
+  return { canvas, x: minX, y: minY };
+}
+
+/**
+ * Count a piece's opaque pixels
+ * @param {Object} canvas - Piece canvas
+ * @param {number} alphaThreshold - Minimum alpha treated as opaque
+ * @returns {number} Opaque area in px²
+ */
+export function measureOpaqueArea(canvas, alphaThreshold = 8) {
+  const { data } = canvas.getContext('2d', { willReadFrequently: true }).getImageData(0, 0, canvas.width, canvas.height);
+  let count = 0;
+  for (let i = 3; i < data.length; i += 4) {
+    if (data[i] >= alphaThreshold) count++;
+  }
+  return count;
+}
+
+/**
+ * Find the piece whose cell contains a point (image pixels)
+ * @param {Array} pieces - Array of puzzle pieces
+ * @param {Array} point - [x, y]
+ * @returns {Object|null} The piece, or null over empty space
+ */
+export function findPieceAt(pieces, [x, y]) {
+  const hits = pieces.filter(({ cell }) => {
+    let inside = false;
+    for (let i = 0, j = cell.length - 1; i < cell.length; j = i++) {
+      const [xi, yi] = cell[i];
+      const [xj, yj] = cell[j];
+      if (yi > y !== yj > y && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside;
+    }
+    return inside;
+  });
+  if (hits.length <= 1) return hits[0] || null;
+
+  // Island pieces share their cell: prefer the one with pixels under the point
+  const isOpaqueUnder = (piece) => {
+    const px = Math.floor(x - piece.originalX);
+    const py = Math.floor(y - piece.originalY);
+    if (px < 0 || py < 0 || px >= piece.canvas.width || py >= piece.canvas.height) return false;
+    return piece.canvas.getContext('2d').getImageData(px, py, 1, 1).data[3] > 0;
+  };
+  return hits.find(isOpaqueUnder) || hits[0];
+}
+
+/**
+ * Tint the cells of the given pieces on top of the preview; island pieces, which share
+ * their cell, tint their own bounds and only outline the cell
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Array} pieces - Array of puzzle pieces
+ * @param {Array<number>} ids - Piece ids to highlight
+ * @param {string} [color] - CSS colour for the outline; the fill uses it translucently
+ */
+export function drawPieceHighlights(ctx, pieces, ids, color = '#f59e0b') {
+  const wanted = new Set(ids);
+  pieces.forEach((piece) => {
+    if (!wanted.has(piece.id)) return;
+    ctx.beginPath();
+    piece.cell.forEach(([px, py], idx) => {
+      if (idx === 0) {
+        ctx.moveTo(px, py);
+      } else {
+        ctx.lineTo(px, py);
+      }
+    });
+    ctx.closePath();
+    if (piece.island) {
+      ctx.save();
+      ctx.globalAlpha = 0.35;
+      ctx.fillStyle = color;
+      ctx.fillRect(piece.originalX, piece.originalY, piece.canvas.width, piece.canvas.height);
+      ctx.restore();
+    } else {
+      ctx.save();
+      ctx.globalAlpha = 0.35;
+      ctx.fillStyle = color;
+      ctx.fill();
+      ctx.restore();
+    }
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 3;
+    ctx.stroke();
+  });
+}
+
+/**
+ * Draw seed points on top of the preview (manual seeds first, then generated)
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Array} points - Array of [x, y] points
+ * @param {number} manualCount - Number of leading manually placed points
+ * @param {number} radius - Dot radius in canvas pixels
+ */
+export function drawSeedPoints(ctx, points, manualCount, radius = 5) {
+  points.forEach(([x, y], idx) => {
+    ctx.beginPath();
+    ctx.arc(x, y, radius, 0, Math.PI * 2);
+    ctx.fillStyle = idx < manualCount ? '#f59e0b' : '#a5b4fc';
+    ctx.fill();
+    ctx.lineWidth = Math.max(1, radius / 3);
+    ctx.strokeStyle = '#000';
+    ctx.stroke();
+  });
+}
+
 export function canvasToBlob(canvas, type = 'image/png', quality) {
   return new Promise((resolve, reject) => {
     canvas.toBlob((blob) => {
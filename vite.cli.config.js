@@ -0,0 +1,15 @@
+import { defineConfig } from 'vite'
+
+// Builds the headless CLI (cli/nutty-slice.js) as a Node ESM bundle.
+export default defineConfig({
+  build: {
+    ssr: 'cli/nutty-slice.js',
+    outDir: 'dist-cli',
+    emptyOutDir: true,
+    rollupOptions: {
+      output: {
+        entryFileNames: '[name].mjs',
+      },
+    },
+  },
+})